@@ -1,8 +1,17 @@
 // Main app file. It connects the camera, image cleanup, waveform extraction, drawing, and audio playback.
 import { createCameraController } from './cameraController.js';
 import { createImageProcessor } from './imageProcessing.js';
-import { extractWaveformFromImageData } from './waveformExtractor.js';
+import { extractTracePathFromImageData, getTraceExtractionDefaults } from './waveformExtractor.js';
+import { createPipelineClient } from './pipelineClient.js';
 import { createSynthAudioEngine } from './audioEngine.js';
+import { createCaptureHistory } from './captureHistory.js';
+import { detectCycles, getCycleTrimRange } from './cycleDetection.js';
+import { createPipelineSettings } from './pipelineSettings.js';
+import { createPipelineStageViewer } from './pipelineStageViewer.js';
+import { assessCaptureQuality, measureLoopJump } from './captureQuality.js';
+import { resampleWaveform, DEFAULT_WAVETABLE_LENGTH } from './waveformResampler.js';
+import { createWaveformEditor } from './waveformEditor.js';
+import { createTransformToolbox } from './waveformTransforms.js';
 // Main UI elements.
 const waveformCanvas = document.getElementById('waveformCanvas');
 const wctx = waveformCanvas.getContext('2d');
@@ -11,6 +20,35 @@ const waveformPeriodInput = document.getElementById('waveformPeriodMs');
 const waveformPeriodValue = document.getElementById('waveformPeriodValue');
 const spectrumCanvas = document.getElementById('spectrumCanvas');
 const processingCanvas = document.getElementById('processingCanvas');
+const tracePolaritySelect = document.getElementById('tracePolarity');
+const polarityReadout = document.getElementById('polarityReadout');
+const deskewAngleInput = document.getElementById('deskewAngle');
+const deskewAutoInput = document.getElementById('deskewAuto');
+const deskewFromTraceInput = document.getElementById('deskewFromTrace');
+const deskewReadout = document.getElementById('deskewReadout');
+const removeGridInput = document.getElementById('removeGrid');
+const voltsPerDivInput = document.getElementById('voltsPerDiv');
+const timePerDivInput = document.getElementById('timePerDivMs');
+const gridReadout = document.getElementById('gridReadout');
+const cycleTrimSelect = document.getElementById('cycleTrim');
+const cycleReadout = document.getElementById('cycleReadout');
+const colorKeyInput = document.getElementById('colorKey');
+const colorKeySwatch = document.getElementById('colorKeySwatch');
+const traceCountSelect = document.getElementById('traceCount');
+const extractionMethodSelect = document.getElementById('extractionMethod');
+const edgePolicySelect = document.getElementById('edgePolicy');
+const gapFillSelect = document.getElementById('gapFill');
+const wavetableLengthSelect = document.getElementById('wavetableLength');
+const gapReadout = document.getElementById('gapReadout');
+const activeTraceControls = document.getElementById('activeTraceControls');
+const activeTraceSelect = document.getElementById('activeTrace');
+const pipelineStatus = document.getElementById('pipelineStatus');
+const qualityBadge = document.getElementById('qualityBadge');
+const qualityWarning = document.getElementById('qualityWarning');
+const qualityWarningList = document.getElementById('qualityWarningList');
+const retryCaptureButton = document.getElementById('retryCapture');
+const captureButton = document.getElementById('captureFrame');
+const liveModeInput = document.getElementById('liveMode');
 
 const mobileGenerationView = document.getElementById('mobileGenerationView');
 const mobileAnalysisView = document.getElementById('mobileAnalysisView');
@@ -29,6 +67,9 @@ const DEFAULT_STARTUP_HEIGHT = 480;
 const MOBILE_CAMERA_ASPECT_RATIO = 1;
 const DESKTOP_CAMERA_ASPECT_RATIO = 4 / 3;
 const DEVICE_MODE_MEDIA_QUERY = window.matchMedia('(pointer: coarse), (max-width: 900px)');
+const CYCLE_MARKER_HIT_PX = 10; // How close, in CSS pixels, a pointer must be to grab a trim marker.
+const MIN_TRIM_SAMPLES = 16; // Trim markers cannot be dragged closer together than this.
+const TRACE_COLORS = ['#ffffff', '#38bdf8', '#f472b6', '#a3e635']; // Waveform panel colour per trace, top to bottom.
 // Create the audio and spectrum module.
 const synthEngine = createSynthAudioEngine({
   playButton: document.getElementById('playSynth'),
@@ -42,6 +83,59 @@ const MOBILE_VIEW_MODES = {
   ANALYSIS: 'analysis',
 };
 let lastRenderedWaveform = null;
+// The most recent capture, kept so processing settings can be re-applied without recapturing.
+let lastCapture = null;
+// The last pipeline run, so the trace preview can reuse a frame live mode has already processed.
+let lastPipelineRun = null;
+// Real-world scale of the current waveform, known when a grid was found in the capture.
+let waveformUnits = null;
+// Full-width extraction result and its detected cycles; the synth plays the trimmed part of it.
+let extractedWaveform = null;
+let cycleAnalysis = null;
+// Every trace found in a multi-channel capture, top to bottom, and which one feeds the synth.
+// Each entry is { waveform, repaired, repairedCount, quality }; repaired and quality are null when
+// unknown (restored history). quality is the report graded in captureQuality.js.
+let extractedTraces = [];
+let activeTraceIndex = 0;
+// Trace colour sampled from the preview for colour-key extraction.
+let traceColorKey = null;
+// Trim range dragged by hand. It overrides the detected range until the next waveform arrives.
+let manualTrimRange = null;
+let trimMarkerDrag = null;
+// Set while a re-run for an Advanced panel change is waiting for the next animation frame.
+let settingsRerunPending = false;
+
+// Drawing on the waveform panel. Edits replace the waveform the panel shows and go straight to the synth.
+// The editor and the transform toolbox are created before the canvases are sized, because that
+// redraws the panel, which asks both of them what to draw.
+const waveformEditor = createWaveformEditor({
+  canvas: waveformCanvas,
+  toolSelect: document.getElementById('editTool'),
+  brushWidthInput: document.getElementById('editBrushWidth'),
+  snapInput: document.getElementById('editSnap'),
+  clearButton: document.getElementById('editClear'),
+  getWaveform: getEditableWaveform,
+  onEdit: handleWaveformEdit,
+  onClear: startBlankWaveform,
+  onActiveChange: redrawWaveformPanel,
+});
+waveformEditor.init();
+
+// Transforms of the waveform the editor draws on, previewed on the panel and in the synth until
+// applied or cancelled. An applied transform is kept like a drawn edit.
+const transformToolbox = createTransformToolbox({
+  transformSelect: document.getElementById('transformType'),
+  amountInput: document.getElementById('transformAmount'),
+  amountLabel: document.getElementById('transformAmountLabel'),
+  amountValue: document.getElementById('transformAmountValue'),
+  applyButton: document.getElementById('applyTransform'),
+  cancelButton: document.getElementById('cancelTransform'),
+  getWaveform: getEditableWaveform,
+  onPreview: showTransformPreview,
+  onApply: applyTransformedWaveform,
+  onCancel: showTransformPreview,
+});
+transformToolbox.init();
 
 // Give the canvases a sensible size before the camera reports its real size.
 initializeCanvasSizes(DEFAULT_STARTUP_WIDTH, getDefaultStartupHeight());
@@ -49,27 +143,94 @@ applyResponsiveDeviceMode();
 setMobileView(MOBILE_VIEW_MODES.GENERATION);
 updateWaveformPeriodNote();
 
-// Create the image cleanup pipeline.
-const imageProcessor = createImageProcessor({});
+// Image cleanup and extraction run in a worker. Captures show their progress; the trace
+// preview has its own worker so it never holds up a capture.
+const pipelineClient = createPipelineClient({
+  onBusyChange: updatePipelineStatus,
+  onProgress: updatePipelineProgress,
+});
+const previewPipelineClient = createPipelineClient();
+
+// Advanced tuning values for the processor and extractor, with presets.
+const pipelineSettings = createPipelineSettings({
+  fieldsContainer: document.getElementById('pipelineSettingsFields'),
+  presetSelect: document.getElementById('pipelinePreset'),
+  savePresetButton: document.getElementById('savePipelinePreset'),
+  deletePresetButton: document.getElementById('deletePipelinePreset'),
+  resetButton: document.getElementById('resetPipelineSettings'),
+  defaults: { ...createImageProcessor().getDefaultConfig(), ...getTraceExtractionDefaults() },
+  onChange: handlePipelineSettingsChange,
+});
+pipelineSettings.init();
 
 // Create the camera controller.
 const cameraController = createCameraController({
   video,
   processingCanvas,
   startButton: document.getElementById('startCamera'),
-  captureButton: document.getElementById('captureFrame'),
+  captureButton,
   cameraControls: document.getElementById('cameraControls'),
   cameraToggleButton: document.getElementById('cameraToggle'),
   resetROIButton: document.getElementById('resetROI'),
+  roiShapeToggleButton: document.getElementById('roiShapeToggle'),
+  roiAspectLockInput: document.getElementById('roiAspectLock'),
+  roiSizeReadout: document.getElementById('roiSizeReadout'),
+  liveModeInput,
+  traceOverlayInput: document.getElementById('traceOverlay'),
+  colorPickButton: document.getElementById('pickTraceColor'),
+  burstFrameCountSelect: document.getElementById('burstFrameCount'),
+  cameraSettingElements: {
+    container: document.getElementById('cameraSettings'),
+    deviceSelect: document.getElementById('cameraDevice'),
+    resolutionSelect: document.getElementById('cameraResolution'),
+    zoomInput: document.getElementById('cameraZoom'),
+    focusModeSelect: document.getElementById('cameraFocusMode'),
+    torchInput: document.getElementById('cameraTorch'),
+    exposureCompensationInput: document.getElementById('cameraExposure'),
+  },
+  imageFileInput: document.getElementById('imageFileInput'),
+  loadImageButton: document.getElementById('loadImage'),
+  imageLoadStatus: document.getElementById('imageLoadStatus'),
+  imageDropTarget: videoWrapper,
   getTargetAspectRatio: getPreferredCameraAspectRatio,
   isCoarsePointer: () => DEVICE_MODE_MEDIA_QUERY.matches,
   onVideoSize: ({ width, height }) => {
     initializeCanvasSizes(width, height);
   },
   onCapture: processCapturedImage,
+  onLiveFrame: processLiveFrame,
+  onTraceOverlayFrame: processTraceOverlayFrame,
+  onColorSample: handleTraceColorSample,
 });
 
 cameraController.init();
+
+// Step through the image processing stages of the last capture on the processing canvas.
+const stageViewer = createPipelineStageViewer({
+  enableInput: document.getElementById('stageViewerEnabled'),
+  previousButton: document.getElementById('previousStage'),
+  nextButton: document.getElementById('nextStage'),
+  stageReadout: document.getElementById('stageReadout'),
+  componentSummary: document.getElementById('componentSummary'),
+  componentTableBody: document.getElementById('componentTableBody'),
+  onShowStage: (imageData) => cameraController.setStageImage(imageData),
+  // Snapshots are only kept while the viewer is on, so turning it on re-runs the last capture.
+  onEnabledChange: (isEnabled) => {
+    if (isEnabled) reprocessLastCapture();
+  },
+});
+stageViewer.init();
+
+// Keep earlier captures so a good one can be brought back or re-processed later.
+const captureHistory = createCaptureHistory({
+  listElement: document.getElementById('captureHistoryList'),
+  clearButton: document.getElementById('clearCaptureHistory'),
+  onRestore: restoreHistoryEntry,
+  onReprocess: reprocessHistoryEntry,
+});
+captureHistory.init().catch((err) => {
+  console.error('Capture history unavailable:', err);
+});
 initializeInfoBoxViewportBounds();
 bindResponsiveDeviceMode();
 // Hook up the spectrum controls and test signal button.
@@ -96,6 +257,59 @@ if (openAnalysisViewButton) {
   });
 }
 
+if (deskewAutoInput && deskewAngleInput) {
+  deskewAutoInput.addEventListener('change', () => {
+    deskewAngleInput.disabled = deskewAutoInput.checked;
+    if (deskewFromTraceInput) deskewFromTraceInput.disabled = !deskewAutoInput.checked;
+    reprocessLastCapture();
+  });
+
+  deskewAngleInput.addEventListener('input', () => {
+    if (deskewAutoInput.checked) return;
+    reprocessLastCapture();
+  });
+}
+
+// Polarity, trace count, grid removal and the colour key change the mask; the scale inputs change the units and the preset period.
+[tracePolaritySelect, traceCountSelect, removeGridInput, voltsPerDivInput, timePerDivInput, colorKeyInput, deskewFromTraceInput].forEach((input) => {
+  input?.addEventListener('change', reprocessLastCapture);
+});
+
+// The extraction method, edge policy and gap fill only change how the mask is read.
+if (extractionMethodSelect) {
+  extractionMethodSelect.addEventListener('change', () => {
+    if (edgePolicySelect) edgePolicySelect.disabled = extractionMethodSelect.value !== 'trace';
+    reprocessLastCapture();
+  });
+}
+[edgePolicySelect, gapFillSelect, wavetableLengthSelect].forEach((input) => {
+  input?.addEventListener('change', reprocessLastCapture);
+});
+
+if (activeTraceSelect) {
+  activeTraceSelect.addEventListener('change', () => {
+    const index = Number(activeTraceSelect.value);
+    if (!extractedTraces[index]) return;
+    activeTraceIndex = index;
+    updateGapReadout();
+    setExtractedWaveform(extractedTraces[index].waveform);
+  });
+}
+
+retryCaptureButton?.addEventListener('click', retryCapture);
+
+if (cycleTrimSelect) {
+  cycleTrimSelect.addEventListener('change', () => {
+    manualTrimRange = null;
+    applyCycleTrim();
+  });
+}
+
+waveformCanvas.addEventListener('pointerdown', handleTrimMarkerPointerDown);
+waveformCanvas.addEventListener('pointermove', handleTrimMarkerPointerMove);
+waveformCanvas.addEventListener('pointerup', handleTrimMarkerPointerUp);
+waveformCanvas.addEventListener('pointercancel', handleTrimMarkerPointerUp);
+
 if (waveformPeriodInput) {
   const initialSeconds = synthEngine.getPanelDurationSeconds();
   let initialMs = Math.max(MIN_PANEL_PERIOD_MS, Math.min(MAX_PANEL_PERIOD_MS, secondsToMs(initialSeconds)));
@@ -314,34 +528,529 @@ function clampNumber(value, min, max, fallback) {
 }
 
 // Turn one captured frame into a waveform and update the app.
-function processCapturedImage(imageData, roi) {
-  const processedImageData = imageProcessor.preprocessImage(imageData, roi);
-  if (!processedImageData) return;
+// A capture taken while an earlier one is still processing replaces it.
+// A capture with no trace in it is reported with a retake prompt, like a poor one.
+async function processCapturedImage(imageData, roi) {
+  lastCapture = { imageData, roi };
+  let status;
+  try {
+    status = await runCapturePipeline(imageData, roi);
+  } catch (err) {
+    console.error('Capture processing error:', err);
+    showCaptureFailure();
+    enterAnalysisView();
+    return;
+  }
+  if (status === 'cancelled') return;
+  if (status === 'no-trace') {
+    showNoTraceFound();
+    enterAnalysisView();
+    return;
+  }
+  captureHistory.addEntry({ imageData, roi, waveform: extractedWaveform }).catch((err) => {
+    console.error('Capture history save error:', err);
+  });
+  enterAnalysisView();
+}
+
+// Bring back a stored capture exactly as it was extracted.
+// A capture still processing is cancelled so its result does not replace the restored one.
+function restoreHistoryEntry(entry) {
+  pipelineClient.cancel();
+  lastCapture = { imageData: entry.imageData, roi: entry.roi };
+  waveformUnits = null;
+  setExtractedTraces([{ waveform: entry.waveform, repaired: null, repairedCount: null, quality: null }]);
+  enterAnalysisView();
+}
+
+// Run a stored frame through the pipeline with the current settings and keep the new result.
+async function reprocessHistoryEntry(entry) {
+  lastCapture = { imageData: entry.imageData, roi: entry.roi };
+  const status = await runCapturePipeline(entry.imageData, entry.roi);
+  if (status === 'no-trace') showNoTraceFound();
+  if (status !== 'done') return;
+  await captureHistory.updateEntryWaveform(entry.id, extractedWaveform);
+  enterAnalysisView();
+}
+
+// Live mode: update the waveform and sound from each sampled frame without changing view.
+// A live frame waits for a capture in flight instead of replacing it.
+function processLiveFrame(imageData, roi) {
+  lastCapture = { imageData, roi };
+  return runCapturePipeline(imageData, roi, { interrupt: false });
+}
+
+// Find the trace in a preview frame so the camera view can show what extraction will see.
+// When live mode has just processed the same frame, its result is reused.
+// With several traces, the one feeding the synth is shown.
+async function processTraceOverlayFrame(imageData, roi) {
+  const run = lastPipelineRun && lastPipelineRun.sourceImageData === imageData ? lastPipelineRun : null;
+  if (run) {
+    const mask = run.traceMasks[Math.min(activeTraceIndex, run.traceMasks.length - 1)];
+    return {
+      mask,
+      tracePath: extractTracePathFromImageData(mask, getExtractionOptions()),
+      deskewAngleDeg: run.deskewAngleDeg,
+    };
+  }
+
+  const result = await previewPipelineClient.run({
+    ...createPipelineJob(imageData, roi),
+    type: 'trace-path',
+    traceIndex: activeTraceIndex,
+  });
+  if (!result || result.cancelled) return null;
+  return { mask: result.mask, tracePath: result.tracePath, deskewAngleDeg: result.runInfo.deskewAngleDeg };
+}
+
+// Run the last capture again with the current settings, staying on the current view.
+// Settings can change faster than the pipeline runs, so a re-run waits for the one in flight
+// and only the newest is kept.
+function reprocessLastCapture() {
+  if (!lastCapture) return;
+  runCapturePipeline(lastCapture.imageData, lastCapture.roi, { interrupt: false }).then((status) => {
+    if (status === 'no-trace') showNoTraceFound();
+  }).catch((err) => {
+    console.error('Reprocess error:', err);
+  });
+}
 
-  const waveform = extractWaveformFromImageData(processedImageData);
+// Everything the pipeline worker needs for one frame, with the current settings.
+function createPipelineJob(imageData, roi, { debug = false } = {}) {
+  return {
+    type: 'capture',
+    imageData,
+    roi,
+    processingOptions: { ...getProcessingOptions(), debug },
+    extractionOptions: getExtractionOptions(),
+    processorConfig: pipelineSettings.getProcessorConfig(),
+  };
+}
+
+function getProcessingOptions() {
+  const manualDeskew = deskewAutoInput && !deskewAutoInput.checked && deskewAngleInput;
+  return {
+    deskewAngleDeg: manualDeskew ? Number(deskewAngleInput.value) : undefined,
+    deskewFromTrace: !!deskewFromTraceInput?.checked,
+    removeGrid: removeGridInput ? removeGridInput.checked : true,
+    colorKey: colorKeyInput?.checked && traceColorKey ? traceColorKey : null,
+    polarity: tracePolaritySelect?.value || 'auto',
+    traceCount: traceCountSelect ? Number(traceCountSelect.value) : 1,
+  };
+}
+
+function getExtractionOptions() {
+  return {
+    method: extractionMethodSelect?.value || 'column',
+    edgePolicy: edgePolicySelect?.value || 'step',
+    gapFill: gapFillSelect?.value || 'linear',
+    outputLength: Number(wavetableLengthSelect?.value) || DEFAULT_WAVETABLE_LENGTH,
+    config: pipelineSettings.getExtractorConfig(),
+  };
+}
+
+// Slider drags fire many input events, so the last capture is re-run at most once per frame.
+function handlePipelineSettingsChange() {
+  if (settingsRerunPending) return;
+  settingsRerunPending = true;
+  requestAnimationFrame(() => {
+    settingsRerunPending = false;
+    reprocessLastCapture();
+  });
+}
+
+// A fresh sample switches colour-key extraction on and re-runs the last capture with it.
+function handleTraceColorSample(color) {
+  traceColorKey = color;
+  if (colorKeySwatch) {
+    colorKeySwatch.style.background = `rgb(${color.r}, ${color.g}, ${color.b})`;
+  }
+  if (colorKeyInput) {
+    colorKeyInput.disabled = false;
+    colorKeyInput.checked = true;
+  }
+  reprocessLastCapture();
+}
+
+function updatePolarityReadout({ polarity, polaritySource }) {
+  if (!polarityReadout) return;
+  const polarityLabel = polarity === 'bright' ? 'bright on dark' : 'dark on light';
+  const sourceLabel = {
+    auto: 'auto',
+    manual: 'manual',
+    'color-key': 'colour key',
+  }[polaritySource] || polaritySource;
+  polarityReadout.textContent = `Detected: ${polarityLabel} (${sourceLabel})`;
+}
+
+function updateDeskewReadout({ deskewAngleDeg, deskewSource }) {
+  if (deskewReadout) {
+    const sourceLabel = {
+      axis: 'axis line',
+      trace: 'trace',
+      manual: 'manual',
+      none: 'not detected',
+    }[deskewSource] || deskewSource;
+    deskewReadout.textContent = `Tilt: ${deskewAngleDeg.toFixed(1)}° (${sourceLabel})`;
+  }
+
+  // In auto mode the slider follows the detected angle so unticking Auto starts from it.
+  if (deskewAngleInput && deskewAutoInput?.checked) {
+    deskewAngleInput.value = deskewAngleDeg.toFixed(1);
+  }
+}
+
+// Resolves with 'done', 'no-trace' when nothing in the frame looked like a trace, or 'cancelled'
+// when a newer run replaced this one; only 'done' changes the waveform.
+// interrupt: false waits for a run in flight instead of cancelling it (see pipelineClient.js).
+async function runCapturePipeline(imageData, roi, { interrupt = true } = {}) {
+  const job = createPipelineJob(imageData, roi, { debug: stageViewer.isEnabled() });
+  const result = await pipelineClient.run(job, { interrupt });
+  if (result?.cancelled) return 'cancelled';
+  if (!result) return 'no-trace';
+
+  const { traceMasks, traces, runInfo, verticalReferencePx, debugRun } = result;
+  if (debugRun) stageViewer.setDebugRun(debugRun);
+  updatePolarityReadout(runInfo);
+  updateDeskewReadout(runInfo);
+  // With no component to follow, the extractor would hand back a flat line repaired end to end.
+  if (runInfo.traceCount === 0) return 'no-trace';
+  lastPipelineRun = { sourceImageData: imageData, traceMasks, deskewAngleDeg: runInfo.deskewAngleDeg };
+
+  waveformUnits = computeWaveformUnits(runInfo.grid, traceMasks[0].height, verticalReferencePx, traces[0].waveform.length);
+  updateGridReadout(runInfo.grid);
+  setExtractedTraces(traces);
+  return 'done';
+}
+
+function updatePipelineStatus(isBusy) {
+  if (!pipelineStatus) return;
+  pipelineStatus.hidden = !isBusy;
+  if (isBusy) pipelineStatus.textContent = 'Processing…';
+}
+
+function updatePipelineProgress({ stage, index, count }) {
+  if (!pipelineStatus) return;
+  if (stage !== 'extract') {
+    pipelineStatus.textContent = 'Cleaning image…';
+  } else {
+    pipelineStatus.textContent = count > 1 ? `Reading trace ${index + 1} of ${count}…` : 'Reading trace…';
+  }
+}
+
+// Keep every extracted trace, fill the trace picker and send the chosen one on.
+// The previous choice is kept while it still exists so live mode does not jump between channels.
+function setExtractedTraces(traces) {
+  extractedTraces = traces;
+  if (activeTraceIndex >= traces.length) activeTraceIndex = 0;
+
+  if (activeTraceControls && activeTraceSelect) {
+    activeTraceControls.hidden = traces.length < 2;
+    activeTraceSelect.replaceChildren(...traces.map((_, index) => {
+      const option = document.createElement('option');
+      option.value = String(index);
+      option.textContent = `Trace ${index + 1}`;
+      option.style.color = TRACE_COLORS[index % TRACE_COLORS.length];
+      return option;
+    }));
+    activeTraceSelect.value = String(activeTraceIndex);
+  }
+
+  updateGapReadout();
+  setExtractedWaveform(traces[activeTraceIndex].waveform);
+}
+
+function updateGapReadout() {
+  if (!gapReadout) return;
+  const trace = extractedTraces[activeTraceIndex];
+  if (!trace || trace.repairedCount === null) {
+    gapReadout.textContent = 'Gaps: –';
+  } else if (trace.repairedCount === 0) {
+    gapReadout.textContent = 'Gaps: none';
+  } else {
+    // Repairs are counted in mask columns, before the waveform is resampled to the wavetable length.
+    const columns = trace.quality?.sampleCount || trace.waveform.length;
+    const share = Math.round((trace.repairedCount / columns) * 100);
+    gapReadout.textContent = `Gaps: ${trace.repairedCount} columns repaired (${share}%)`;
+  }
+}
+
+// Store a full-width waveform, look for repeating cycles in it and play the chosen part.
+function setExtractedWaveform(waveform) {
   if (!waveform || waveform.length === 0) return;
 
-  lastRenderedWaveform = waveform;
+  extractedWaveform = waveform;
+  cycleAnalysis = detectCycles(waveform);
+  manualTrimRange = null;
+  updateCycleReadout();
+  applyCycleTrim();
+}
+
+// The part of the extracted waveform the synth should loop, or null for the full width.
+function getTrimRange() {
+  if (!extractedWaveform || !cycleTrimSelect || cycleTrimSelect.value === 'off') return null;
+  if (manualTrimRange) return manualTrimRange;
+
+  const requestedCycles = cycleTrimSelect.value === 'all' ? Infinity : Number(cycleTrimSelect.value);
+  return getCycleTrimRange(cycleAnalysis, requestedCycles, extractedWaveform.length);
+}
+
+function applyCycleTrim() {
+  if (!extractedWaveform) return;
+  transformToolbox.discardPreview();
+
+  const playbackWaveform = getPlaybackWaveform(extractedWaveform);
+  // The time base covers the full ROI width, so the loop lasts as long as the part that is kept.
+  const playbackUnits = getPlaybackUnits();
+  if (playbackUnits?.secondsPerSample) {
+    applyWaveformPanelPeriodMs(playbackWaveform.length * playbackUnits.secondsPerSample * 1000);
+  }
+
+  lastRenderedWaveform = playbackWaveform;
   synthEngine.updateWaveform(lastRenderedWaveform);
-  drawWaveform(lastRenderedWaveform);
-  enterAnalysisView();
+  redrawWaveformPanel();
+  updateQualityReadout(playbackWaveform);
+}
+
+// The part of a capture-length waveform that is played: the trimmed range, resampled back to the
+// wavetable length so the exported table keeps the chosen size, or all of it when nothing is trimmed.
+function getPlaybackWaveform(waveform) {
+  const range = getTrimRange();
+  return range
+    ? resampleWaveform(waveform.slice(range.start, range.end), waveform.length, { edges: 'wrap' })
+    : waveform;
+}
+
+// Units of the loop the synth plays. A trimmed loop is resampled back to the full length, so each
+// of its samples covers only keptSamples / length of a sample of the full extraction.
+function getPlaybackUnits() {
+  const range = waveformUnits?.secondsPerSample && extractedWaveform ? getTrimRange() : null;
+  if (!range) return waveformUnits;
+
+  const keptShare = (range.end - range.start) / extractedWaveform.length;
+  return {
+    ...waveformUnits,
+    periodSeconds: waveformUnits.periodSeconds * keptShare,
+    secondsPerSample: waveformUnits.secondsPerSample * keptShare,
+  };
+}
+
+// Grade the playing trace and show the result. The loop jump is measured on the part that is
+// played, so trimming to whole cycles clears that warning.
+function updateQualityReadout(playbackWaveform) {
+  const report = extractedTraces[activeTraceIndex]?.quality;
+  if (!report) {
+    showQuality(null, []);
+    return;
+  }
+
+  const { level, warnings } = assessCaptureQuality({ ...report, loopJump: measureLoopJump(playbackWaveform) });
+  showQuality(level, warnings);
+  if (qualityBadge) {
+    const margin = Number.isFinite(report.scoreMargin) ? `${report.scoreMargin.toFixed(1)}×` : 'no rival';
+    const thickness = Number.isFinite(report.strokeThicknessPx) ? `${report.strokeThicknessPx.toFixed(1)} px` : '–';
+    qualityBadge.title = [
+      `Coverage ${Math.round(report.coverage * 100)}%`,
+      `${report.gapCount} gaps (longest ${report.longestGap} columns)`,
+      `score margin ${margin}`,
+      `stroke ${thickness}`,
+      `loop jump ${measureLoopJump(playbackWaveform).toFixed(2)}`,
+    ].join(', ');
+  }
+}
+
+// A failed run leaves the previous waveform playing, so say so instead of only logging it.
+function showCaptureFailure() {
+  showQuality('poor', [{ id: 'failed', level: 'poor', message: 'The capture could not be processed. The previous waveform is still playing.' }]);
+  if (qualityBadge) qualityBadge.textContent = 'Quality: failed';
+}
+
+// Nothing in the frame looked like a trace, so the previous waveform is still playing.
+function showNoTraceFound() {
+  showQuality('poor', [{
+    id: 'no-trace',
+    level: 'poor',
+    message: 'No trace was found in the capture. Check that the ROI covers the waveform and that Trace matches the ink. The previous waveform is still playing.',
+  }]);
+  if (qualityBadge) qualityBadge.textContent = 'Quality: no trace';
+}
+
+// level is null when there is nothing to grade (generated signals and restored history).
+// A retake is offered for poor captures when there is a camera to retake with, except in live
+// mode, which retakes on its own.
+function showQuality(level, warnings) {
+  if (qualityBadge) {
+    qualityBadge.hidden = !level;
+    qualityBadge.dataset.level = level || '';
+    qualityBadge.textContent = level ? `Quality: ${level}` : '';
+    qualityBadge.title = '';
+  }
+  if (!qualityWarning) return;
+  qualityWarning.hidden = warnings.length === 0;
+  qualityWarningList?.replaceChildren(...warnings.map(({ message }) => {
+    const item = document.createElement('li');
+    item.textContent = message;
+    return item;
+  }));
+  if (retryCaptureButton) {
+    const canRetake = isMobileViewMode() || cameraController.isCameraRunning();
+    retryCaptureButton.hidden = level !== 'poor' || !canRetake || !!liveModeInput?.checked;
+  }
+}
+
+// Retake: on mobile go back to the camera view to frame the shot again; on desktop with a
+// running camera a new frame is captured straight away.
+function retryCapture() {
+  if (isMobileViewMode()) {
+    enterGenerationView({ startCamera: true });
+  } else if (cameraController.isCameraRunning()) {
+    captureButton?.click();
+  }
+}
+
+function updateCycleReadout() {
+  if (!cycleReadout) return;
+  if (!extractedWaveform) {
+    cycleReadout.textContent = 'Cycles: –';
+  } else if (!cycleAnalysis) {
+    cycleReadout.textContent = 'Cycles: no repeat found';
+  } else {
+    cycleReadout.textContent = `Cycles: ${cycleAnalysis.cycleCount.toFixed(1)} (${Math.round(cycleAnalysis.periodSamples)} samples each)`;
+  }
+}
+
+// Turn the grid spacing and the per-division settings into waveform scales.
+// Amplitude 1 spans half the extractor's reference rows; the waveform spans the whole ROI width.
+function computeWaveformUnits(grid, processedHeight, verticalReferencePx, sampleCount) {
+  if (!grid?.detected) return null;
+
+  const voltsPerDiv = readPositiveNumber(voltsPerDivInput);
+  const timePerDivMs = readPositiveNumber(timePerDivInput);
+  const horizontalDivisions = 1 / grid.columnSpacingRatio;
+  const verticalDivisions = 1 / grid.rowSpacingRatio;
+  const unitRows = (Math.max(processedHeight, verticalReferencePx) - 1) / 2;
+  const periodSeconds = timePerDivMs ? (horizontalDivisions * timePerDivMs) / 1000 : null;
+
+  return {
+    horizontalDivisions,
+    verticalDivisions,
+    voltsPerUnit: voltsPerDiv ? (unitRows / processedHeight) * verticalDivisions * voltsPerDiv : null,
+    periodSeconds,
+    secondsPerSample: periodSeconds ? periodSeconds / sampleCount : null,
+  };
+}
+
+function readPositiveNumber(input) {
+  const value = Number(input?.value);
+  return input?.value !== '' && Number.isFinite(value) && value > 0 ? value : null;
+}
+
+function updateGridReadout(grid) {
+  if (!gridReadout) return;
+  if (removeGridInput && !removeGridInput.checked) {
+    gridReadout.textContent = 'Grid: off';
+  } else if (!grid?.detected) {
+    gridReadout.textContent = 'Grid: not found';
+  } else {
+    gridReadout.textContent = `Grid: ${formatDivisions(1 / grid.columnSpacingRatio)} × ${formatDivisions(1 / grid.rowSpacingRatio)} div`;
+  }
+}
+
+function formatDivisions(value) {
+  return Number.isInteger(Math.round(value * 10) / 10) ? value.toFixed(0) : value.toFixed(1);
+}
+
+// Short engineering-style label, e.g. 250 mV or 1.5 ms.
+function formatUnitValue(value, unit) {
+  const magnitude = Math.abs(value);
+  const [scale, prefix] = magnitude >= 1 || magnitude === 0
+    ? [1, '']
+    : magnitude >= 1e-3 ? [1e3, 'm'] : magnitude >= 1e-6 ? [1e6, 'µ'] : [1e9, 'n'];
+  const scaled = value * scale;
+  return `${Number(scaled.toPrecision(3))} ${prefix}${unit}`;
 }
 
 function updateAnalysisWaveform(waveform) {
   if (!waveform || waveform.length === 0) {
     return;
   }
+  transformToolbox.discardPreview();
+
+  // Generated waveforms carry no grid calibration and are already whole cycles.
+  waveformUnits = null;
+  extractedWaveform = null;
+  extractedTraces = [];
+  if (activeTraceControls) activeTraceControls.hidden = true;
+  updateGapReadout();
+  cycleAnalysis = null;
+  manualTrimRange = null;
+  updateCycleReadout();
+  showQuality(null, []);
 
   lastRenderedWaveform = waveform;
   synthEngine.updateWaveform(lastRenderedWaveform);
-  drawWaveform(lastRenderedWaveform);
+  redrawWaveformPanel();
 }
 
-function restoreAnalysisVisuals() {
-  if (lastRenderedWaveform && lastRenderedWaveform.length > 0) {
-    drawWaveform(lastRenderedWaveform);
+// The waveform the panel shows is the one the editor changes. With nothing shown yet a flat line
+// is started, so a shape can be sketched from scratch.
+function getEditableWaveform() {
+  if (!extractedWaveform && !lastRenderedWaveform) startBlankWaveform();
+  return extractedWaveform || lastRenderedWaveform;
+}
+
+function startBlankWaveform() {
+  updateAnalysisWaveform(new Float32Array(Number(wavetableLengthSelect?.value) || DEFAULT_WAVETABLE_LENGTH));
+}
+
+// An edited capture keeps its trim range and the other traces. Its quality grade described the
+// capture, so it is dropped, and edited samples are no longer marked as repaired.
+// Cycles are looked for again once the stroke ends rather than on every move.
+function handleWaveformEdit(waveform, { final = false, start = 0, end = waveform.length - 1 } = {}) {
+  if (!extractedWaveform) {
+    transformToolbox.discardPreview();
+    lastRenderedWaveform = waveform;
+    synthEngine.updateWaveform(lastRenderedWaveform);
+    redrawWaveformPanel();
+    return;
   }
 
+  const trace = extractedTraces[activeTraceIndex];
+  if (trace) {
+    const repaired = trace.repaired
+      ? trace.repaired.map((flag, i) => (i >= start && i <= end ? 0 : flag))
+      : null;
+    extractedTraces[activeTraceIndex] = { ...trace, waveform, repaired, quality: null };
+  }
+  extractedWaveform = waveform;
+  if (final) {
+    cycleAnalysis = detectCycles(waveform);
+    updateCycleReadout();
+  }
+  applyCycleTrim();
+}
+
+// A transform changes every sample, but spans that were repaired are still guesses, so they stay
+// marked: no span counts as drawn over.
+function applyTransformedWaveform(waveform) {
+  handleWaveformEdit(waveform, { final: true, start: 0, end: -1 });
+}
+
+// Play and draw the transform preview, or with none (cancelled) the loop again.
+// A capture's preview is played through its trim, like the waveform it replaces.
+function showTransformPreview() {
+  const preview = transformToolbox.getPreview();
+  if (!preview) {
+    synthEngine.updateWaveform(lastRenderedWaveform);
+  } else {
+    synthEngine.updateWaveform(extractedWaveform ? getPlaybackWaveform(preview) : preview);
+  }
+  redrawWaveformPanel();
+}
+
+function restoreAnalysisVisuals() {
+  redrawWaveformPanel();
+
   if ((synthEngine.getPreparedWavetableLength?.() ?? 0) > 0) {
     synthEngine.setPanelDurationSeconds(synthEngine.getPanelDurationSeconds());
   }
@@ -365,7 +1074,7 @@ function enterAnalysisView() {
 function enterGenerationView({ startCamera = false } = {}) {
   if (!isMobileViewMode()) return;
   setMobileView(MOBILE_VIEW_MODES.GENERATION);
-  if (cameraController.isCameraRunning?.()) {
+  if (cameraController.hasPreviewSource?.()) {
     cameraController.setPreviewActive?.(true);
     cameraController.refreshPreviewLayout?.();
   } else if (startCamera) {
@@ -373,8 +1082,8 @@ function enterGenerationView({ startCamera = false } = {}) {
   }
 }
 
-// Draw the waveform in the main analysis panel.
-function drawWaveform(waveform) {
+// Draw the waveform in the main analysis panel, over any other traces from the same capture.
+function drawWaveform(waveform, { color = '#ffffff', repaired = null, otherTraces = [] } = {}) {
   wctx.clearRect(0, 0, waveformCanvas.width, waveformCanvas.height);
 
   const plotWidth = Math.max(10, waveformCanvas.width);
@@ -392,49 +1101,211 @@ function drawWaveform(waveform) {
   wctx.stroke();
   wctx.restore();
 
-  // Draw tick labels: +1 near top, 0 at midpoint, -1 near bottom.
+  // Draw tick labels: +1 near top, 0 at midpoint, -1 near bottom, in volts once calibrated.
   wctx.save();
   wctx.fillStyle = 'rgba(255,255,255,0.5)';
   wctx.font = '11px monospace';
   wctx.textAlign = 'left';
   for (const level of [1, 0, -1]) {
     const yRaw = ((1 - (level + 1) / 2)) * plotHeight;
-    const label = String(level);
+    const label = waveformUnits?.voltsPerUnit && level !== 0
+      ? formatUnitValue(level * waveformUnits.voltsPerUnit, 'V')
+      : String(level);
     const yLabel = level === 1 ? yRaw + 12 : yRaw - 3;
     wctx.fillText(label, 4, yLabel);
   }
+  // Span of the whole waveform along the bottom edge.
+  if (waveformUnits?.periodSeconds) {
+    wctx.textAlign = 'right';
+    wctx.fillText(formatUnitValue(waveformUnits.periodSeconds, 's'), plotWidth - 4, plotHeight - 3);
+  }
   wctx.restore();
 
-  wctx.strokeStyle = '#ffffff';
-  wctx.lineWidth = 2;
+  for (const trace of otherTraces) {
+    wctx.save();
+    wctx.globalAlpha = 0.6;
+    drawWaveformLine(trace.waveform, trace.color, 1.5, trace.repaired);
+    wctx.restore();
+  }
+  drawWaveformLine(waveform, color, 2, repaired);
+}
+
+// Stroke one waveform across the panel, leaving gaps where samples are NaN.
+// Repaired samples are drawn dashed so it is clear they were filled in, not read from the image.
+function drawWaveformLine(waveform, color, lineWidth, repaired = null) {
+  wctx.strokeStyle = color;
+  wctx.lineWidth = lineWidth;
+  strokeWaveformSegments(waveform, (i) => !repaired || (!repaired[i - 1] && !repaired[i]));
+  if (!repaired) return;
+
+  wctx.save();
+  wctx.setLineDash([3, 3]);
+  wctx.globalAlpha *= 0.7;
+  strokeWaveformSegments(waveform, (i) => repaired[i - 1] || repaired[i]);
+  wctx.restore();
+}
 
-  let isDrawing = false;
+// Stroke the segment from sample i - 1 to i wherever includeSegment(i) is true.
+function strokeWaveformSegments(waveform, includeSegment) {
+  const plotWidth = Math.max(10, waveformCanvas.width);
+  const plotHeight = Math.max(20, waveformCanvas.height);
   const xDenominator = Math.max(1, waveform.length - 1);
 
+  wctx.beginPath();
+  let penDown = false;
   for (let i = 0; i < waveform.length; i++) {
     const value = waveform[i];
     if (Number.isNaN(value)) {
-      if (isDrawing) {
-        wctx.stroke();
-        isDrawing = false;
-      }
+      penDown = false;
       continue;
     }
 
     const x = (i / xDenominator) * (plotWidth - 1);
     const y = ((1 - (value + 1) / 2)) * plotHeight;
-    if (!isDrawing) {
-      wctx.beginPath();
-      wctx.moveTo(x, y);
-      isDrawing = true;
-    } else {
+    if (penDown && includeSegment(i)) {
       wctx.lineTo(x, y);
+    } else {
+      wctx.moveTo(x, y);
     }
+    penDown = true;
+  }
+  wctx.stroke();
+}
+
+// An extracted waveform is shown at full width with its cycle markers and sibling traces; anything else as it plays.
+// A transform preview is drawn over the loop it was made from.
+function redrawWaveformPanel() {
+  const waveform = extractedWaveform || lastRenderedWaveform;
+  if (!waveform || waveform.length === 0) return;
+
+  const preview = transformToolbox.getPreview();
+  if (preview) {
+    drawWaveform(preview, { color: '#facc15', otherTraces: [{ waveform, color: '#ffffff' }] });
+    if (extractedWaveform) drawCycleMarkers();
+    return;
+  }
+
+  if (!extractedWaveform) {
+    drawWaveform(waveform);
+    waveformEditor.drawGuides(wctx);
+    return;
+  }
+
+  drawWaveform(waveform, {
+    color: TRACE_COLORS[activeTraceIndex % TRACE_COLORS.length],
+    repaired: extractedTraces[activeTraceIndex]?.repaired ?? null,
+    otherTraces: extractedTraces
+      .map((trace, index) => ({ ...trace, color: TRACE_COLORS[index % TRACE_COLORS.length] }))
+      .filter((_, index) => index !== activeTraceIndex),
+  });
+  drawCycleMarkers();
+  waveformEditor.drawGuides(wctx);
+}
+
+function getWaveformCanvasX(sampleIndex) {
+  const plotWidth = Math.max(10, waveformCanvas.width);
+  return (sampleIndex / Math.max(1, extractedWaveform.length - 1)) * (plotWidth - 1);
+}
+
+// Dashed lines at the detected cycle boundaries, with the trimmed-away parts shaded and
+// solid, draggable markers at the ends of the kept range.
+function drawCycleMarkers() {
+  const plotWidth = Math.max(10, waveformCanvas.width);
+  const plotHeight = Math.max(20, waveformCanvas.height);
+
+  wctx.save();
+  if (cycleAnalysis) {
+    wctx.strokeStyle = 'rgba(255, 204, 0, 0.55)';
+    wctx.lineWidth = 1;
+    wctx.setLineDash([6, 4]);
+    cycleAnalysis.boundaries.forEach((boundary) => {
+      const x = getWaveformCanvasX(Math.min(boundary, extractedWaveform.length - 1));
+      wctx.beginPath();
+      wctx.moveTo(x, 0);
+      wctx.lineTo(x, plotHeight);
+      wctx.stroke();
+    });
+    wctx.setLineDash([]);
   }
 
-  if (isDrawing) {
-    wctx.stroke();
+  const range = getTrimRange();
+  if (range) {
+    const startX = getWaveformCanvasX(range.start);
+    const endX = getWaveformCanvasX(Math.min(range.end, extractedWaveform.length - 1));
+    wctx.fillStyle = 'rgba(15, 23, 42, 0.6)';
+    wctx.fillRect(0, 0, startX, plotHeight);
+    wctx.fillRect(endX, 0, plotWidth - endX, plotHeight);
+
+    wctx.strokeStyle = '#ffcc00';
+    wctx.fillStyle = '#ffcc00';
+    wctx.lineWidth = 2;
+    [startX, endX].forEach((x) => {
+      wctx.beginPath();
+      wctx.moveTo(x, 0);
+      wctx.lineTo(x, plotHeight);
+      wctx.stroke();
+      wctx.fillRect(x - 5, 0, 10, 14);
+    });
   }
+  wctx.restore();
+}
+
+// Which trim marker, if any, sits under the pointer.
+function getTrimMarkerAtPointer(event) {
+  const range = getTrimRange();
+  if (!range) return null;
+
+  const rect = waveformCanvas.getBoundingClientRect();
+  if (rect.width <= 0) return null;
+  const pointerX = event.clientX - rect.left;
+  const cssScale = rect.width / waveformCanvas.width;
+  const startDistance = Math.abs(getWaveformCanvasX(range.start) * cssScale - pointerX);
+  const endDistance = Math.abs(getWaveformCanvasX(Math.min(range.end, extractedWaveform.length - 1)) * cssScale - pointerX);
+  if (Math.min(startDistance, endDistance) > CYCLE_MARKER_HIT_PX) return null;
+  return startDistance <= endDistance ? 'start' : 'end';
+}
+
+function getSampleIndexAtPointer(event) {
+  const rect = waveformCanvas.getBoundingClientRect();
+  const plotWidth = Math.max(10, waveformCanvas.width);
+  const canvasX = (event.clientX - rect.left) * (waveformCanvas.width / Math.max(1, rect.width));
+  return Math.round((canvasX / (plotWidth - 1)) * (extractedWaveform.length - 1));
+}
+
+function handleTrimMarkerPointerDown(event) {
+  if (waveformEditor.isActive()) return;
+  const edge = getTrimMarkerAtPointer(event);
+  if (!edge) return;
+
+  trimMarkerDrag = { edge, pointerId: event.pointerId };
+  manualTrimRange = { ...getTrimRange() };
+  waveformCanvas.setPointerCapture?.(event.pointerId);
+  event.preventDefault();
+}
+
+function handleTrimMarkerPointerMove(event) {
+  if (!trimMarkerDrag) {
+    waveformCanvas.style.cursor = !waveformEditor.isActive() && getTrimMarkerAtPointer(event) ? 'ew-resize' : '';
+    return;
+  }
+  if (event.pointerId !== trimMarkerDrag.pointerId) return;
+
+  const index = getSampleIndexAtPointer(event);
+  if (trimMarkerDrag.edge === 'start') {
+    manualTrimRange.start = Math.max(0, Math.min(manualTrimRange.end - MIN_TRIM_SAMPLES, index));
+  } else {
+    manualTrimRange.end = Math.min(extractedWaveform.length, Math.max(manualTrimRange.start + MIN_TRIM_SAMPLES, index));
+  }
+  redrawWaveformPanel();
+}
+
+// The synth only gets the new loop once the marker is released.
+function handleTrimMarkerPointerUp(event) {
+  if (!trimMarkerDrag || event.pointerId !== trimMarkerDrag.pointerId) return;
+
+  trimMarkerDrag = null;
+  waveformCanvas.releasePointerCapture?.(event.pointerId);
+  applyCycleTrim();
 }
 
 // Wire up the download button after the page is ready.
@@ -450,7 +1321,8 @@ window.addEventListener('DOMContentLoaded', () => {
       if (length > 0 && synthEngine.exportWaveformToCSV) {
         synthEngine.exportWaveformToCSV(
           synthEngine.preparedWavetable || null,
-          'waveform.csv'
+          'waveform.csv',
+          getPlaybackUnits()
         );
       }
     });
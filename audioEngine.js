@@ -12,6 +12,7 @@ export function createSynthAudioEngine({
   const MAX_PANEL_DURATION_SECONDS = 0.020; // 20 ms
   const ATTACK_SECONDS = 0.02;
   const RELEASE_SECONDS = 0.05;
+  const CROSSFADE_SECONDS = 0.03; // Blend time when a new waveform replaces the one playing.
   const SPECTRUM_BAR_COUNT = 160;
   const SPECTRUM_MIN_HZ = 20;
   const SPECTRUM_MAX_HZ = 40000;
@@ -23,6 +24,7 @@ export function createSynthAudioEngine({
   let masterGainNode = null;
   let preparedWavetable = null;
   let activeSourceNode = null;
+  let activeVoiceGain = null;
   let activeRepeatCount = 1;
   let isActive = false;
   let spectrumScale = DEFAULT_SPECTRUM_SCALE;
@@ -55,6 +57,11 @@ export function createSynthAudioEngine({
     if (!preparedWavetable || preparedWavetable.length === 0) {
       return;
     }
+
+    // Keep playing through the change so live capture can reshape the sound.
+    if (activeSourceNode) {
+      replaceActiveWavetable();
+    }
   }
   // Change the playback period and redraw the spectrum.
   function setPanelDurationSeconds(seconds) {
@@ -152,12 +159,19 @@ export function createSynthAudioEngine({
   };
 
   // Save the prepared waveform as a simple CSV file.
-  function exportWaveformToCSV(waveform, filename = 'waveform.csv') {
+  // With units ({ secondsPerSample, voltsPerUnit }), each row gets a time and the value in volts.
+  function exportWaveformToCSV(waveform, filename = 'waveform.csv', units = null) {
     if (!Array.isArray(waveform) && !(waveform instanceof Float32Array) && !(waveform instanceof Float64Array)) {
       console.error('exportWaveformToCSV: Input is not an array');
       return;
     }
-    const csvContent = waveform.map(x => x.toString()).join('\n');
+    const values = Array.from(waveform);
+    const csvContent = units && (units.secondsPerSample || units.voltsPerUnit)
+      ? [
+        `${units.secondsPerSample ? 'time_s' : 'sample'},${units.voltsPerUnit ? 'voltage_v' : 'value'}`,
+        ...values.map((x, i) => `${units.secondsPerSample ? i * units.secondsPerSample : i},${units.voltsPerUnit ? x * units.voltsPerUnit : x}`),
+      ].join('\n')
+      : values.map(x => x.toString()).join('\n');
     const blob = new Blob([csvContent], { type: 'text/csv' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -585,6 +599,26 @@ export function createSynthAudioEngine({
       activeSourceNode = null;
     }
 
+    const { source, voiceGain } = createLoopVoice();
+
+    // Schedule the gain ramp a few milliseconds ahead to guarantee smooth fade-in
+    // and avoid clicks if the audio clock has already moved past 'now'.
+    const now = audioContext.currentTime;
+    const startAt = now + 0.005; // 5 ms scheduling lookahead
+    masterGainNode.gain.cancelScheduledValues(now);
+    masterGainNode.gain.setValueAtTime(0, now);
+    masterGainNode.gain.linearRampToValueAtTime(0.9, startAt + ATTACK_SECONDS);
+
+    source.start(startAt);
+
+    activeSourceNode = source;
+    activeVoiceGain = voiceGain;
+    return true;
+  }
+
+  // Build a looping source for the prepared wavetable, routed through its own gain node
+  // so two loops can be crossfaded when the waveform changes mid-playback.
+  function createLoopVoice() {
     // Tile the waveform into a long enough buffer so playback rate stays at or above 1,
     // which prevents silence on some mobile browsers for very short loops.
     const minBufferSamples = Math.ceil(MAX_PANEL_DURATION_SECONDS * audioContext.sampleRate);
@@ -606,26 +640,42 @@ export function createSynthAudioEngine({
     const playbackRate = desiredLoopFrequencyHz / baseTableFrequency;
     source.playbackRate.setValueAtTime(playbackRate, audioContext.currentTime);
 
-    source.connect(masterGainNode);
+    const voiceGain = audioContext.createGain();
+    source.connect(voiceGain);
+    voiceGain.connect(masterGainNode);
 
-    // Schedule the gain ramp a few milliseconds ahead to guarantee smooth fade-in
-    // and avoid clicks if the audio clock has already moved past 'now'.
-    const now = audioContext.currentTime;
-    const startAt = now + 0.005; // 5 ms scheduling lookahead
-    masterGainNode.gain.cancelScheduledValues(now);
-    masterGainNode.gain.setValueAtTime(0, now);
-    masterGainNode.gain.linearRampToValueAtTime(0.9, startAt + ATTACK_SECONDS);
-
-    source.start(startAt);
     source.onended = () => {
       source.disconnect();
+      voiceGain.disconnect();
       if (activeSourceNode === source) {
         activeSourceNode = null;
+        activeVoiceGain = null;
       }
     };
 
+    return { source, voiceGain };
+  }
+
+  // Swap the playing loop for the newly prepared wavetable with a short crossfade.
+  function replaceActiveWavetable() {
+    if (!audioContext || !masterGainNode || !activeSourceNode || !activeVoiceGain) return;
+
+    const previousSource = activeSourceNode;
+    const previousVoiceGain = activeVoiceGain;
+    const now = audioContext.currentTime;
+    const { source, voiceGain } = createLoopVoice();
+
+    voiceGain.gain.setValueAtTime(0, now);
+    voiceGain.gain.linearRampToValueAtTime(1, now + CROSSFADE_SECONDS);
+    previousVoiceGain.gain.cancelScheduledValues(now);
+    previousVoiceGain.gain.setValueAtTime(previousVoiceGain.gain.value, now);
+    previousVoiceGain.gain.linearRampToValueAtTime(0, now + CROSSFADE_SECONDS);
+
+    source.start(now);
+    previousSource.stop(now + CROSSFADE_SECONDS);
+
     activeSourceNode = source;
-    return true;
+    activeVoiceGain = voiceGain;
   }
   // Fade out the sound to avoid clicks.
   function stopCustomSynthesis() {
@@ -634,6 +684,7 @@ export function createSynthAudioEngine({
 
     const source = activeSourceNode;
     activeSourceNode = null;
+    activeVoiceGain = null;
     const now = audioContext.currentTime;
 
     masterGainNode.gain.cancelScheduledValues(now);
@@ -1,7 +1,14 @@
+import { fuseBurstFrames } from './frameFusion.js';
+import { createCameraSettings } from './cameraSettings.js';
+
 // Camera controller:
 // - starts and stops the camera
+// - loads still images as an alternative capture source
 // - manages the ROI sliders and overlay
-// - captures the current frame for waveform extraction
+// - samples the trace colour where the user taps the preview
+// - captures the current frame (or a fused burst of frames) for waveform extraction
+// - optionally feeds frames continuously for live extraction and the trace preview overlay
+// - can show a pipeline stage snapshot in place of the preview for the stage viewer
 export function createCameraController({
   video,
   processingCanvas,
@@ -10,10 +17,25 @@ export function createCameraController({
   cameraControls,
   cameraToggleButton,
   resetROIButton,
+  roiShapeToggleButton,
+  roiAspectLockInput,
+  roiSizeReadout,
+  liveModeInput,
+  traceOverlayInput,
+  colorPickButton,
+  burstFrameCountSelect,
+  cameraSettingElements,
+  imageFileInput,
+  loadImageButton,
+  imageLoadStatus,
+  imageDropTarget,
   getTargetAspectRatio,
   isCoarsePointer,
   roiElements,
   onCapture,
+  onLiveFrame,
+  onTraceOverlayFrame,
+  onColorSample,
   onVideoSize,
 }) {
   const ROI_MIN_GAP_RATIO = 0.01;
@@ -22,12 +44,25 @@ export function createCameraController({
   const ROI_TOUCH_TARGET_PADDING_CSS_PX = 28;
   const ROI_MIN_HEIGHT_PX = 2;
   const ROI_MIN_WIDTH_PX = 2;
+  const SUPPORTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+  const LIVE_MIN_FRAME_INTERVAL_MS = 200; // Live extraction and trace preview run at most ~5 times per second.
+  const LIVE_MAX_LOAD_RATIO = 0.4; // Live work may use at most this share of main-thread time.
+  const BURST_FALLBACK_FRAME_INTERVAL_MS = 34; // Used when requestVideoFrameCallback is unavailable.
+  const MAX_STILL_IMAGE_DIMENSION_PX = 1920; // Large photos are scaled down to keep processing responsive.
+  const COLOR_SAMPLE_RADIUS_PX = 4; // Half-size of the window searched around a tap for the trace colour.
+  const COLOR_SAMPLE_TOP_SHARE = 0.2; // Share of the window, most unlike the background, averaged as the trace colour.
+
+  const cameraSettings = createCameraSettings({
+    ...cameraSettingElements,
+    onSourceChange: restartCamera,
+  });
 
   const pctx = processingCanvas.getContext('2d');
   const captureCanvas = document.createElement('canvas');
   const cctx = captureCanvas.getContext('2d');
 
   let currentStream = null;
+  let stillImage = null; // Loaded photo used instead of the live stream.
   let overlayAnimationId = null;
   let previewActive = true;
   let preferredFacing = 'environment'; // Start with the back camera if available.
@@ -37,15 +72,31 @@ export function createCameraController({
   let roiBottomPct = 1.0;
   let roiLeftPct = 0.0;
   let roiRightPct = 1.0;
+  let roiAspectLocked = true; // Locked keeps the rectangle ROI in the same shape as the output canvas.
+  let roiShape = 'rect'; // 'rect' for the axis-aligned box, 'quad' for four free corners.
+  // Quad corners in frame percentages, ordered top-left, top-right, bottom-right, bottom-left.
+  let roiQuadPct = createFullFrameQuad();
   let roiPointerState = null;
   const roiTouchPoints = new Map();
   let roiTouchState = null;
+  let liveModeEnabled = false;
+  let traceOverlayEnabled = false;
+  let colorPickArmed = false; // The next tap on the preview samples the trace colour instead of moving the ROI.
+  // Latest trace preview: the tinted mask canvas plus the ROI and path it was computed for.
+  let traceOverlay = null;
+  // Stage snapshot drawn instead of the preview while the stage viewer is open, as a canvas.
+  let stageCanvas = null;
+  let liveFramePending = false;
+  let lastLiveFrameTime = 0;
+  let liveFrameIntervalMs = LIVE_MIN_FRAME_INTERVAL_MS;
 
   // Hook up the buttons and sliders.
   function init() {
     bindROIControls();
     bindROIInteractionHandlers();
     updateCameraToggleUI();
+    updateROIShapeToggleUI();
+    cameraSettings.init();
 
     if (startButton) {
       startButton.addEventListener('click', async () => {
@@ -58,8 +109,21 @@ export function createCameraController({
     }
 
     if (captureButton) {
-      captureButton.addEventListener('click', () => {
-        const captureResult = captureCurrentFrameImageData();
+      captureButton.addEventListener('click', async () => {
+        const burstFrameCount = getBurstFrameCount();
+        let captureResult = null;
+
+        if (burstFrameCount > 1 && currentStream) {
+          captureButton.disabled = true;
+          try {
+            captureResult = await captureBurstFrameImageData(burstFrameCount);
+          } finally {
+            captureButton.disabled = false;
+          }
+        } else {
+          captureResult = captureCurrentFrameImageData();
+        }
+
         if (!captureResult || !captureResult.imageData) return;
         if (typeof onCapture === 'function') {
           onCapture(captureResult.imageData, captureResult.roi);
@@ -67,14 +131,49 @@ export function createCameraController({
       });
     }
 
+    if (colorPickButton) {
+      colorPickButton.addEventListener('click', () => {
+        setColorPickArmed(!colorPickArmed);
+      });
+    }
+
     if (cameraToggleButton) {
       cameraToggleButton.addEventListener('click', async () => {
         preferredFacing = preferredFacing === 'user' ? 'environment' : 'user';
+        cameraSettings.clearDeviceSelection();
         updateCameraToggleUI();
-        if (currentStream) {
-          stopCamera();
-          await startCamera();
-        }
+        await restartCamera();
+      });
+    }
+
+    if (loadImageButton && imageFileInput) {
+      loadImageButton.addEventListener('click', () => {
+        imageFileInput.click();
+      });
+    }
+
+    if (imageFileInput) {
+      imageFileInput.addEventListener('change', async () => {
+        const file = imageFileInput.files && imageFileInput.files[0];
+        // Clear the value so picking the same file again still fires a change.
+        imageFileInput.value = '';
+        if (file) await loadImageFile(file);
+      });
+    }
+
+    bindImageDropHandlers();
+
+    if (liveModeInput) {
+      liveModeInput.checked = liveModeEnabled;
+      liveModeInput.addEventListener('change', () => {
+        setLiveMode(liveModeInput.checked);
+      });
+    }
+
+    if (traceOverlayInput) {
+      traceOverlayInput.checked = traceOverlayEnabled;
+      traceOverlayInput.addEventListener('change', () => {
+        setTraceOverlayEnabled(traceOverlayInput.checked);
       });
     }
 
@@ -86,6 +185,8 @@ export function createCameraController({
   async function startCamera() {
     if (currentStream) return;
 
+    clearStillImage();
+
     try {
       const stream = await getPreferredCameraStream();
       currentStream = stream;
@@ -95,32 +196,277 @@ export function createCameraController({
       startOverlayLoop();
       if (cameraControls) cameraControls.classList.remove('hidden');
       if (startButton) startButton.textContent = 'Stop Camera';
+      showImageLoadError(null);
+      await cameraSettings.attachTrack(stream.getVideoTracks()[0]);
     } catch (err) {
       console.error('Camera access error:', err);
     }
   }
 
+  // Reopen the stream so a new device or resolution takes effect.
+  async function restartCamera() {
+    if (!currentStream) return;
+    stopCamera();
+    await startCamera();
+  }
+
   function stopCamera() {
     if (currentStream) {
       currentStream.getTracks().forEach((track) => track.stop());
     }
 
     currentStream = null;
+    cameraSettings.detachTrack();
     video.srcObject = null;
     previewActive = false;
     stopOverlayLoop();
     if (cameraControls) cameraControls.classList.add('hidden');
     if (startButton) startButton.textContent = 'Start Camera';
-    pctx.clearRect(0, 0, processingCanvas.width, processingCanvas.height);
+    clearPreview();
+  }
+
+  // Load a JPEG, PNG or WebP file and show it in place of the camera preview.
+  // Other file types are turned away before decoding. A failed load keeps the current preview
+  // and says why next to Load Image.
+  async function loadImageFile(file) {
+    if (!file || !SUPPORTED_IMAGE_TYPES.includes(file.type)) {
+      console.error('Unsupported image file:', file ? file.type || file.name : file);
+      showImageLoadError(`${describeFile(file)} is not a JPEG, PNG or WebP image.`);
+      return false;
+    }
+
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    try {
+      image.src = url;
+      await image.decode();
+    } catch (err) {
+      console.error('Image load error:', err);
+      showImageLoadError(`${describeFile(file)} could not be decoded. The file may be damaged or incomplete.`);
+      return false;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+
+    showImageLoadError(null);
+
+    if (currentStream) stopCamera();
+
+    stillImage = image;
+    previewActive = true;
+    resetROI();
+    syncPreviewFrameRect();
+    startOverlayLoop();
+    if (cameraControls) cameraControls.classList.remove('hidden');
+    return true;
+  }
+
+  // Show why the last image could not be loaded; null hides the message.
+  function showImageLoadError(message) {
+    if (!imageLoadStatus) return;
+    imageLoadStatus.hidden = !message;
+    imageLoadStatus.textContent = message || '';
+  }
+
+  function describeFile(file) {
+    return file?.name ? `"${file.name}"` : 'The file';
+  }
+
+  function clearStillImage() {
+    if (!stillImage) return;
+    stillImage = null;
+    stopOverlayLoop();
+    if (cameraControls) cameraControls.classList.add('hidden');
+    clearPreview();
+  }
+
+  // Accept image files dropped onto the preview area.
+  function bindImageDropHandlers() {
+    if (!imageDropTarget) return;
+
+    const hasFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+    imageDropTarget.addEventListener('dragover', (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = 'copy';
+      imageDropTarget.classList.add('drag-over');
+    });
+
+    imageDropTarget.addEventListener('dragleave', () => {
+      imageDropTarget.classList.remove('drag-over');
+    });
+
+    imageDropTarget.addEventListener('drop', async (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      imageDropTarget.classList.remove('drag-over');
+      // The first supported image is loaded; when there is none, the first file is, so it is turned away visibly.
+      const files = Array.from(event.dataTransfer.files);
+      const file = files.find((candidate) => SUPPORTED_IMAGE_TYPES.includes(candidate.type)) || files[0];
+      if (file) await loadImageFile(file);
+    });
+  }
+
+  function setLiveMode(isEnabled) {
+    liveModeEnabled = !!isEnabled;
+    if (liveModeInput) liveModeInput.checked = liveModeEnabled;
+    liveFrameIntervalMs = LIVE_MIN_FRAME_INTERVAL_MS;
+    lastLiveFrameTime = 0;
+  }
+
+  function setTraceOverlayEnabled(isEnabled) {
+    traceOverlayEnabled = !!isEnabled;
+    if (traceOverlayInput) traceOverlayInput.checked = traceOverlayEnabled;
+    traceOverlay = null;
+    liveFrameIntervalMs = LIVE_MIN_FRAME_INTERVAL_MS;
+    lastLiveFrameTime = 0;
+  }
+
+  function setColorPickArmed(isArmed) {
+    colorPickArmed = !!isArmed && hasPreviewSource();
+    if (colorPickButton) {
+      colorPickButton.classList.toggle('active', colorPickArmed);
+      colorPickButton.textContent = colorPickArmed ? 'Tap the trace…' : 'Pick colour';
+    }
+    processingCanvas.style.cursor = colorPickArmed ? 'crosshair' : 'default';
+  }
+
+  // Read the trace colour around a tapped point. A thin trace only covers part of the window,
+  // so the pixels furthest from the window's median colour (the background) are averaged.
+  function sampleTraceColor(pointer) {
+    const captureResult = captureCurrentFrameImageData();
+    if (!captureResult || !captureResult.imageData) return null;
+
+    const { imageData } = captureResult;
+    const x0 = Math.max(0, Math.round(pointer.x) - COLOR_SAMPLE_RADIUS_PX);
+    const y0 = Math.max(0, Math.round(pointer.y) - COLOR_SAMPLE_RADIUS_PX);
+    const x1 = Math.min(imageData.width - 1, Math.round(pointer.x) + COLOR_SAMPLE_RADIUS_PX);
+    const y1 = Math.min(imageData.height - 1, Math.round(pointer.y) + COLOR_SAMPLE_RADIUS_PX);
+    if (x1 < x0 || y1 < y0) return null;
+
+    const pixels = [];
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const idx = (y * imageData.width + x) * 4;
+        pixels.push([imageData.data[idx], imageData.data[idx + 1], imageData.data[idx + 2]]);
+      }
+    }
+
+    const median = [0, 1, 2].map((channel) => {
+      const values = pixels.map((pixel) => pixel[channel]).sort((a, b) => a - b);
+      return values[Math.floor(values.length / 2)];
+    });
+    const distanceFromMedian = (pixel) => Math.hypot(pixel[0] - median[0], pixel[1] - median[1], pixel[2] - median[2]);
+    const ranked = pixels.slice().sort((a, b) => distanceFromMedian(b) - distanceFromMedian(a));
+    const picked = ranked.slice(0, Math.max(1, Math.round(ranked.length * COLOR_SAMPLE_TOP_SHARE)));
+
+    const sum = picked.reduce((total, pixel) => [total[0] + pixel[0], total[1] + pixel[1], total[2] + pixel[2]], [0, 0, 0]);
+    return {
+      r: Math.round(sum[0] / picked.length),
+      g: Math.round(sum[1] / picked.length),
+      b: Math.round(sum[2] / picked.length),
+    };
+  }
+
+  function hasLiveFrameWork() {
+    return (liveModeEnabled && typeof onLiveFrame === 'function')
+      || (traceOverlayEnabled && typeof onTraceOverlayFrame === 'function');
+  }
+
+  // Hand a frame to the live and trace preview callbacks outside the animation frame, so the
+  // preview keeps drawing. The interval stretches when processing is slow to stay inside the
+  // load budget.
+  function maybeScheduleLiveFrame() {
+    if (liveFramePending || !hasLiveFrameWork()) return;
+
+    const now = performance.now();
+    if (now - lastLiveFrameTime < liveFrameIntervalMs) return;
+
+    liveFramePending = true;
+    setTimeout(() => {
+      const startedAt = performance.now();
+      // A synchronous throw (frame capture or a callback that is not async) takes the same path as a
+      // rejected promise, so liveFramePending is always cleared and live mode keeps going.
+      let work = null;
+      try {
+        const captureResult = hasLiveFrameWork() && previewActive ? captureCurrentFrameImageData() : null;
+        work = captureResult && captureResult.imageData
+          ? runLiveFrameWork(captureResult.imageData, captureResult.roi)
+          : null;
+      } catch (err) {
+        work = Promise.reject(err);
+      }
+
+      Promise.resolve(work)
+        .catch((err) => {
+          console.error('Live extraction error:', err);
+        })
+        .finally(() => {
+          const finishedAt = performance.now();
+          const elapsed = finishedAt - startedAt;
+          liveFrameIntervalMs = Math.max(LIVE_MIN_FRAME_INTERVAL_MS, elapsed / LIVE_MAX_LOAD_RATIO);
+          lastLiveFrameTime = finishedAt;
+          liveFramePending = false;
+        });
+    }, 0);
+  }
+
+  async function runLiveFrameWork(imageData, roi) {
+    if (liveModeEnabled && typeof onLiveFrame === 'function') {
+      await onLiveFrame(imageData, roi);
+    }
+
+    if (traceOverlayEnabled && typeof onTraceOverlayFrame === 'function') {
+      const result = await onTraceOverlayFrame(imageData, roi);
+      traceOverlay = traceOverlayEnabled && result ? createTraceOverlay(result, roi) : null;
+    }
+  }
+
+  // Tint the detected component so it can be drawn over the video.
+  // result.mask is the processed mask; result.tracePath holds one y per mask column (NaN = missing).
+  function createTraceOverlay(result, roi) {
+    const { mask, tracePath, deskewAngleDeg = 0 } = result;
+    if (!mask || !tracePath) return null;
+
+    const tinted = new ImageData(mask.width, mask.height);
+    for (let i = 0; i < mask.data.length; i += 4) {
+      if (mask.data[i] < 128) continue;
+      tinted.data[i] = 64;
+      tinted.data[i + 1] = 255;
+      tinted.data[i + 2] = 128;
+      tinted.data[i + 3] = 150;
+    }
+    const maskCanvas = document.createElement('canvas');
+    maskCanvas.width = mask.width;
+    maskCanvas.height = mask.height;
+    maskCanvas.getContext('2d').putImageData(tinted, 0, 0);
+
+    return {
+      roi,
+      maskCanvas,
+      maskWidth: mask.width,
+      maskHeight: mask.height,
+      tracePath,
+      deskewAngleDeg,
+    };
+  }
+
+  // True when either the camera or a loaded still image can be captured from.
+  function hasPreviewSource() {
+    return !!currentStream || !!stillImage;
   }
 
   function setPreviewActive(isActive) {
     previewActive = !!isActive;
+    // A stale trace preview would not match the next frame.
+    traceOverlay = null;
+    if (colorPickArmed) setColorPickArmed(false);
 
-    if (!currentStream) {
+    if (!hasPreviewSource()) {
       if (!previewActive) {
         stopOverlayLoop();
-        pctx.clearRect(0, 0, processingCanvas.width, processingCanvas.height);
+        clearPreview();
       }
       return;
     }
@@ -132,7 +478,7 @@ export function createCameraController({
     }
 
     stopOverlayLoop();
-    pctx.clearRect(0, 0, processingCanvas.width, processingCanvas.height);
+    clearPreview();
   }
 
   function isCameraRunning() {
@@ -140,11 +486,26 @@ export function createCameraController({
   }
 
   function getVideoSourceSize() {
+    if (stillImage) {
+      return {
+        sourceWidth: Math.max(0, Math.round(stillImage.naturalWidth || 0)),
+        sourceHeight: Math.max(0, Math.round(stillImage.naturalHeight || 0)),
+      };
+    }
     const sourceWidth = Math.max(0, Math.round(video.videoWidth || 0));
     const sourceHeight = Math.max(0, Math.round(video.videoHeight || 0));
     return { sourceWidth, sourceHeight };
   }
 
+  // The element frames are drawn from: the still image when loaded, otherwise the video.
+  function getFrameSource() {
+    return stillImage || video;
+  }
+
+  function isFrameSourceReady() {
+    return stillImage ? stillImage.complete : video.readyState >= 2;
+  }
+
   function getEffectiveAspectRatio(sourceWidth, sourceHeight) {
     const fallbackAspectRatio = sourceWidth > 0 && sourceHeight > 0
       ? sourceWidth / sourceHeight
@@ -188,23 +549,32 @@ export function createCameraController({
     const targetAspectRatio = getEffectiveAspectRatio(sourceWidth, sourceHeight);
     currentFrameRect = getFrameRectForAspectRatio(sourceWidth, sourceHeight, targetAspectRatio);
 
-    processingCanvas.width = currentFrameRect.width;
-    processingCanvas.height = currentFrameRect.height;
-    captureCanvas.width = currentFrameRect.width;
-    captureCanvas.height = currentFrameRect.height;
+    // Camera frames keep their native size; still photos are capped so a
+    // 12 MP image does not end up as a 12 MP processing canvas.
+    const outputScale = stillImage
+      ? Math.min(1, MAX_STILL_IMAGE_DIMENSION_PX / Math.max(currentFrameRect.width, currentFrameRect.height))
+      : 1;
+    const outputWidth = Math.max(1, Math.round(currentFrameRect.width * outputScale));
+    const outputHeight = Math.max(1, Math.round(currentFrameRect.height * outputScale));
+
+    processingCanvas.width = outputWidth;
+    processingCanvas.height = outputHeight;
+    captureCanvas.width = outputWidth;
+    captureCanvas.height = outputHeight;
 
     if (typeof onVideoSize === 'function') {
-      onVideoSize({ width: currentFrameRect.width, height: currentFrameRect.height });
+      onVideoSize({ width: outputWidth, height: outputHeight });
     }
+    syncROIDisplay();
   }
 
   function captureCurrentFrameImageData() {
-    if (video.readyState < 2 || captureCanvas.width === 0 || captureCanvas.height === 0) {
+    if (!isFrameSourceReady() || captureCanvas.width === 0 || captureCanvas.height === 0) {
       return null;
     }
-    // Copy the current video frame into an offscreen canvas.
+    // Copy the current video frame (or still image) into an offscreen canvas.
     cctx.drawImage(
-      video,
+      getFrameSource(),
       currentFrameRect.x,
       currentFrameRect.y,
       currentFrameRect.width,
@@ -219,6 +589,39 @@ export function createCameraController({
     return { imageData, roi };
   }
 
+  function getBurstFrameCount() {
+    const count = Math.round(Number(burstFrameCountSelect?.value));
+    return Number.isFinite(count) && count > 1 ? count : 1;
+  }
+
+  // Grab consecutive video frames and fuse them into one lower-noise frame.
+  // The ROI from the first frame is used for the whole burst.
+  async function captureBurstFrameImageData(frameCount) {
+    const frames = [];
+    let roi = null;
+
+    for (let i = 0; i < frameCount; i++) {
+      if (i > 0) await waitForNextVideoFrame();
+      const captureResult = captureCurrentFrameImageData();
+      if (!captureResult) break;
+      frames.push(captureResult.imageData);
+      if (!roi) roi = captureResult.roi;
+    }
+
+    if (frames.length === 0) return null;
+    return { imageData: fuseBurstFrames(frames, roi), roi };
+  }
+
+  function waitForNextVideoFrame() {
+    return new Promise((resolve) => {
+      if (typeof video.requestVideoFrameCallback === 'function') {
+        video.requestVideoFrameCallback(() => resolve());
+      } else {
+        setTimeout(resolve, BURST_FALLBACK_FRAME_INTERVAL_MS);
+      }
+    });
+  }
+
   function getCurrentVideoTrackSettings() {
     if (!currentStream) return null;
     const tracks = currentStream.getVideoTracks();
@@ -228,7 +631,50 @@ export function createCameraController({
     return track.getSettings();
   }
 
-  function syncROIDisplay() {}
+  // Show the ROI size in source (camera or photo) pixels rather than preview canvas pixels.
+  function syncROIDisplay() {
+    if (!roiSizeReadout) return;
+
+    const { width, height } = getROISourceSize();
+    roiSizeReadout.textContent = width > 0 && height > 0
+      ? `ROI: ${width} × ${height} px`
+      : 'ROI: –';
+  }
+
+  function getROISourceSize() {
+    if (processingCanvas.width <= 0 || processingCanvas.height <= 0 || currentFrameRect.width <= 0) {
+      return { width: 0, height: 0 };
+    }
+
+    const sourceScaleX = currentFrameRect.width / processingCanvas.width;
+    const sourceScaleY = currentFrameRect.height / processingCanvas.height;
+    const roi = computeROI();
+
+    if (roi.quad) {
+      // Match the rectangle size the perspective warp produces.
+      const edgeLength = (a, b) => Math.hypot((b.x - a.x) * sourceScaleX, (b.y - a.y) * sourceScaleY);
+      const [topLeft, topRight, bottomRight, bottomLeft] = roi.quad;
+      return {
+        width: Math.round((edgeLength(topLeft, topRight) + edgeLength(bottomLeft, bottomRight)) / 2),
+        height: Math.round((edgeLength(topLeft, bottomLeft) + edgeLength(topRight, bottomRight)) / 2),
+      };
+    }
+
+    return {
+      width: Math.round(roi.width * sourceScaleX),
+      height: Math.round(roi.height * sourceScaleY),
+    };
+  }
+
+  // Lock or unlock the rectangle ROI aspect ratio. Re-locking squares up the current box.
+  function setROIAspectLocked(isLocked) {
+    roiAspectLocked = !!isLocked;
+    if (roiAspectLockInput) roiAspectLockInput.checked = roiAspectLocked;
+    if (roiAspectLocked) {
+      clampROI(roiLeftPct, roiTopPct, roiRightPct, roiBottomPct);
+    }
+    syncROIDisplay();
+  }
 
   function clampROI(nextLeftPct, nextTopPct, nextRightPct, nextBottomPct) {
     const minWidthRatio = processingCanvas.width > 0
@@ -264,6 +710,8 @@ export function createCameraController({
     roiRightPct = rightPct;
     roiBottomPct = bottomPct;
 
+    if (!roiAspectLocked) return;
+
     // Enforce aspect ratio: widthPct must equal heightPct so the ROI always
     // matches the output canvas shape. Boundary clamping above can produce
     // different values on each axis (e.g. both edges hit 1.0 but from different
@@ -291,9 +739,70 @@ export function createCameraController({
     roiBottomPct = 1.0;
     roiLeftPct = 0.0;
     roiRightPct = 1.0;
+    roiQuadPct = createFullFrameQuad();
+    syncROIDisplay();
+  }
+
+  function createFullFrameQuad() {
+    return [
+      { x: 0, y: 0 },
+      { x: 1, y: 0 },
+      { x: 1, y: 1 },
+      { x: 0, y: 1 },
+    ];
+  }
+
+  // Switch between the rectangle ROI and the four-corner perspective ROI.
+  // The quad starts from the current rectangle so the selection does not jump.
+  function setROIShape(shape) {
+    const nextShape = shape === 'quad' ? 'quad' : 'rect';
+    if (nextShape === roiShape) return;
+
+    if (nextShape === 'quad') {
+      roiQuadPct = [
+        { x: roiLeftPct, y: roiTopPct },
+        { x: roiRightPct, y: roiTopPct },
+        { x: roiRightPct, y: roiBottomPct },
+        { x: roiLeftPct, y: roiBottomPct },
+      ];
+    }
+
+    roiShape = nextShape;
+    roiPointerState = null;
+    roiTouchState = null;
+    updateROIShapeToggleUI();
     syncROIDisplay();
   }
 
+  function updateROIShapeToggleUI() {
+    if (!roiShapeToggleButton) return;
+    roiShapeToggleButton.textContent = roiShape === 'quad' ? 'Rectangle ROI' : 'Perspective ROI';
+  }
+
+  // Accept a quad only while it stays convex, so the perspective warp never folds over itself.
+  function isConvexQuad(quad) {
+    let sign = 0;
+    for (let i = 0; i < 4; i++) {
+      const a = quad[i];
+      const b = quad[(i + 1) % 4];
+      const c = quad[(i + 2) % 4];
+      const cross = ((b.x - a.x) * (c.y - b.y)) - ((b.y - a.y) * (c.x - b.x));
+      if (Math.abs(cross) < 1e-9) return false;
+      if (sign === 0) sign = Math.sign(cross);
+      else if (Math.sign(cross) !== sign) return false;
+    }
+    return true;
+  }
+
+  function setQuadROI(nextQuad) {
+    const clamped = nextQuad.map((corner) => ({
+      x: Math.max(0, Math.min(1, corner.x)),
+      y: Math.max(0, Math.min(1, corner.y)),
+    }));
+    if (!isConvexQuad(clamped)) return;
+    roiQuadPct = clamped;
+  }
+
   // Connect ROI controls.
   function bindROIControls() {
     if (roiControlsBound) {
@@ -305,6 +814,19 @@ export function createCameraController({
       resetROIButton.addEventListener('click', resetROI);
     }
 
+    if (roiAspectLockInput) {
+      roiAspectLockInput.checked = roiAspectLocked;
+      roiAspectLockInput.addEventListener('change', () => {
+        setROIAspectLocked(roiAspectLockInput.checked);
+      });
+    }
+
+    if (roiShapeToggleButton) {
+      roiShapeToggleButton.addEventListener('click', () => {
+        setROIShape(roiShape === 'quad' ? 'rect' : 'quad');
+      });
+    }
+
     roiControlsBound = true;
     syncROIDisplay();
   }
@@ -355,12 +877,48 @@ export function createCameraController({
       topPct: roiTopPct,
       rightPct: roiRightPct,
       bottomPct: roiBottomPct,
+      quad: roiQuadPct.map((corner) => ({ ...corner })),
     };
   }
 
+  function getQuadCornersPx() {
+    return roiQuadPct.map((corner) => ({
+      x: corner.x * processingCanvas.width,
+      y: corner.y * processingCanvas.height,
+    }));
+  }
+
+  function isPointInsideQuad(pointerX, pointerY, corners) {
+    let inside = false;
+    for (let i = 0, j = corners.length - 1; i < corners.length; j = i++) {
+      const a = corners[i];
+      const b = corners[j];
+      if ((a.y > pointerY) !== (b.y > pointerY)
+        && pointerX < ((b.x - a.x) * (pointerY - a.y)) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  // Corner handles are reported as 'corner-0' .. 'corner-3' in quad order.
+  function getQuadHitMode(pointerX, pointerY, paddingX, paddingY) {
+    const corners = getQuadCornersPx();
+    for (let i = 0; i < corners.length; i++) {
+      if (Math.abs(pointerX - corners[i].x) <= paddingX && Math.abs(pointerY - corners[i].y) <= paddingY) {
+        return `corner-${i}`;
+      }
+    }
+    return isPointInsideQuad(pointerX, pointerY, corners) ? 'move' : null;
+  }
+
   function getROIHitMode(pointerX, pointerY) {
     const roi = computeROI();
     const metrics = getOverlayMetrics();
+    if (roiShape === 'quad') {
+      return getQuadHitMode(pointerX, pointerY, metrics.hitPaddingX, metrics.hitPaddingY);
+    }
+
     const nearLeft = Math.abs(pointerX - roi.x) <= metrics.hitPaddingX;
     const nearRight = Math.abs(pointerX - (roi.x + roi.width)) <= metrics.hitPaddingX;
     const nearTop = Math.abs(pointerY - roi.y) <= metrics.hitPaddingY;
@@ -392,6 +950,11 @@ export function createCameraController({
     const deltaXPct = deltaXPx / width;
     const deltaYPct = deltaYPx / height;
 
+    if (roiShape === 'quad') {
+      applyQuadDrag(mode, deltaXPct, deltaYPct, startROI.quad);
+      return;
+    }
+
     let nextLeftPct = startROI.leftPct;
     let nextTopPct = startROI.topPct;
     let nextRightPct = startROI.rightPct;
@@ -407,23 +970,26 @@ export function createCameraController({
       // Enforce aspect ratio: widthPct must equal heightPct so the ROI always
       // matches the output canvas shape.
       // The dominant axis (larger absolute pixel delta) drives the target size.
+      // With the aspect unlocked each axis keeps its own candidate size.
       const candidateWidthPct = Math.max(0, nextRightPct - nextLeftPct);
       const candidateHeightPct = Math.max(0, nextBottomPct - nextTopPct);
       const targetSizePct = Math.abs(deltaXPx) >= Math.abs(deltaYPx)
         ? candidateWidthPct : candidateHeightPct;
+      const targetWidthPct = roiAspectLocked ? targetSizePct : candidateWidthPct;
+      const targetHeightPct = roiAspectLocked ? targetSizePct : candidateHeightPct;
 
       if (mode === 'top-left') {
-        nextLeftPct = nextRightPct - targetSizePct;
-        nextTopPct = nextBottomPct - targetSizePct;
+        nextLeftPct = nextRightPct - targetWidthPct;
+        nextTopPct = nextBottomPct - targetHeightPct;
       } else if (mode === 'top-right') {
-        nextRightPct = nextLeftPct + targetSizePct;
-        nextTopPct = nextBottomPct - targetSizePct;
+        nextRightPct = nextLeftPct + targetWidthPct;
+        nextTopPct = nextBottomPct - targetHeightPct;
       } else if (mode === 'bottom-left') {
-        nextLeftPct = nextRightPct - targetSizePct;
-        nextBottomPct = nextTopPct + targetSizePct;
+        nextLeftPct = nextRightPct - targetWidthPct;
+        nextBottomPct = nextTopPct + targetHeightPct;
       } else {
-        nextRightPct = nextLeftPct + targetSizePct;
-        nextBottomPct = nextTopPct + targetSizePct;
+        nextRightPct = nextLeftPct + targetWidthPct;
+        nextBottomPct = nextTopPct + targetHeightPct;
       }
     } else if (mode === 'move') {
       const roiWidthPct = startROI.rightPct - startROI.leftPct;
@@ -437,9 +1003,35 @@ export function createCameraController({
     clampROI(nextLeftPct, nextTopPct, nextRightPct, nextBottomPct);
   }
 
+  function applyQuadDrag(mode, deltaXPct, deltaYPct, startQuad) {
+    if (mode && mode.startsWith('corner-')) {
+      const cornerIndex = Number(mode.slice('corner-'.length));
+      setQuadROI(startQuad.map((corner, index) => (index === cornerIndex
+        ? { x: corner.x + deltaXPct, y: corner.y + deltaYPct }
+        : corner)));
+    } else if (mode === 'move') {
+      // Limit the shift so every corner stays inside the frame.
+      const minX = Math.min(...startQuad.map((corner) => corner.x));
+      const maxX = Math.max(...startQuad.map((corner) => corner.x));
+      const minY = Math.min(...startQuad.map((corner) => corner.y));
+      const maxY = Math.max(...startQuad.map((corner) => corner.y));
+      const shiftX = Math.max(-minX, Math.min(deltaXPct, 1 - maxX));
+      const shiftY = Math.max(-minY, Math.min(deltaYPct, 1 - maxY));
+      setQuadROI(startQuad.map((corner) => ({ x: corner.x + shiftX, y: corner.y + shiftY })));
+    }
+  }
+
   function beginTouchMoveGesture(pointerId, pointer) {
+    let mode = 'move';
+    if (roiShape === 'quad') {
+      const metrics = getOverlayMetrics();
+      const hitMode = getQuadHitMode(pointer.x, pointer.y, metrics.touchPaddingX, metrics.touchPaddingY);
+      if (hitMode && hitMode.startsWith('corner-')) mode = hitMode;
+    }
+
     roiTouchState = {
       type: 'move',
+      mode,
       pointerIds: [pointerId],
       startCenterX: pointer.x,
       startCenterY: pointer.y,
@@ -480,15 +1072,31 @@ export function createCameraController({
     const startHeightPct = touchState.startROI.bottomPct - touchState.startROI.topPct;
 
     // Use the Euclidean distance between fingers as a uniform scale factor so
-    // the ROI aspect ratio is preserved during pinch gestures.
+    // the ROI aspect ratio is preserved during pinch gestures. With the aspect
+    // unlocked, each axis follows the finger spread along that axis instead.
     const MIN_AXIS_SPREAD_PX = 10;
     const currentDX = secondPoint.x - firstPoint.x;
     const currentDY = secondPoint.y - firstPoint.y;
     const startDist = Math.sqrt(touchState.startDX * touchState.startDX + touchState.startDY * touchState.startDY);
     const currentDist = Math.sqrt(currentDX * currentDX + currentDY * currentDY);
     const scale = startDist >= MIN_AXIS_SPREAD_PX ? currentDist / startDist : 1;
-    const scaleX = scale;
-    const scaleY = scale;
+    const axisScale = (startSpread, currentSpread) => (Math.abs(startSpread) >= MIN_AXIS_SPREAD_PX
+      ? Math.abs(currentSpread) / Math.abs(startSpread)
+      : 1);
+    const scaleX = roiAspectLocked ? scale : axisScale(touchState.startDX, currentDX);
+    const scaleY = roiAspectLocked ? scale : axisScale(touchState.startDY, currentDY);
+
+    if (roiShape === 'quad') {
+      // Scale the quad about its centroid and follow the finger midpoint.
+      const startQuad = touchState.startROI.quad;
+      const centroidX = startQuad.reduce((sum, corner) => sum + corner.x, 0) / 4;
+      const centroidY = startQuad.reduce((sum, corner) => sum + corner.y, 0) / 4;
+      setQuadROI(startQuad.map((corner) => ({
+        x: centroidX + deltaCenterXPct + ((corner.x - centroidX) * scale),
+        y: centroidY + deltaCenterYPct + ((corner.y - centroidY) * scale),
+      })));
+      return;
+    }
 
     const centerXPct = (touchState.startROI.leftPct + touchState.startROI.rightPct) / 2 + deltaCenterXPct;
     const centerYPct = (touchState.startROI.topPct + touchState.startROI.bottomPct) / 2 + deltaCenterYPct;
@@ -534,7 +1142,7 @@ export function createCameraController({
       applyROIPinch(pinchPoints, roiTouchState);
     } else if (roiTouchState?.type === 'move' && roiTouchState.pointerIds[0] === event.pointerId) {
       applyROIDrag(
-        'move',
+        roiTouchState.mode,
         pointer.x - roiTouchState.startCenterX,
         pointer.y - roiTouchState.startCenterY,
         roiTouchState.startROI,
@@ -566,13 +1174,32 @@ export function createCameraController({
     roiTouchState = null;
   }
 
+  function getCursorForHitMode(hitMode) {
+    if (hitMode === 'move') return 'move';
+    if (hitMode && hitMode.startsWith('corner-')) return 'crosshair';
+    if (hitMode === 'top-left' || hitMode === 'bottom-right') return 'nwse-resize';
+    if (hitMode === 'top-right' || hitMode === 'bottom-left') return 'nesw-resize';
+    return 'default';
+  }
+
   function bindROIInteractionHandlers() {
     if (!processingCanvas) return;
 
     processingCanvas.addEventListener('pointerdown', (event) => {
-      if (!currentStream) return;
+      // The ROI is hidden while a stage snapshot is shown, so it cannot be dragged either.
+      if (!hasPreviewSource() || stageCanvas) return;
 
       const pointer = getPointerPosition(event);
+      if (colorPickArmed) {
+        const color = sampleTraceColor(pointer);
+        setColorPickArmed(false);
+        if (color && typeof onColorSample === 'function') {
+          onColorSample(color);
+        }
+        event.preventDefault();
+        return;
+      }
+
       if (isTouchInteractionMode(event)) {
         handleTouchPointerDown(event, pointer);
         return;
@@ -601,15 +1228,11 @@ export function createCameraController({
         return;
       }
 
+      if (colorPickArmed) return;
+
       if (!roiPointerState || roiPointerState.pointerId !== event.pointerId) {
-        const hoverMode = currentStream ? getROIHitMode(pointer.x, pointer.y) : null;
-        processingCanvas.style.cursor = hoverMode === 'move'
-          ? 'move'
-          : hoverMode === 'top-left' || hoverMode === 'bottom-right'
-            ? 'nwse-resize'
-            : hoverMode === 'top-right' || hoverMode === 'bottom-left'
-              ? 'nesw-resize'
-              : 'default';
+        const hoverMode = hasPreviewSource() ? getROIHitMode(pointer.x, pointer.y) : null;
+        processingCanvas.style.cursor = getCursorForHitMode(hoverMode);
         return;
       }
 
@@ -652,12 +1275,30 @@ export function createCameraController({
   }
 
   // Convert the ROI from percentages into pixel coordinates.
+  // In quad mode the box is the quad's bounding box and the corners travel in `quad`.
+  // `aspectLocked` tells the processor whether the crop may be stretched to the canvas shape.
   function computeROI() {
+    if (roiShape === 'quad') {
+      const quad = getQuadCornersPx();
+      const minX = Math.max(0, Math.floor(Math.min(...quad.map((corner) => corner.x))));
+      const minY = Math.max(0, Math.floor(Math.min(...quad.map((corner) => corner.y))));
+      const maxX = Math.min(processingCanvas.width, Math.ceil(Math.max(...quad.map((corner) => corner.x))));
+      const maxY = Math.min(processingCanvas.height, Math.ceil(Math.max(...quad.map((corner) => corner.y))));
+      return {
+        x: minX,
+        y: minY,
+        width: Math.max(ROI_MIN_WIDTH_PX, maxX - minX),
+        height: Math.max(ROI_MIN_HEIGHT_PX, maxY - minY),
+        quad,
+        aspectLocked: false,
+      };
+    }
+
     const x = Math.floor(processingCanvas.width * roiLeftPct);
     const y = Math.floor(processingCanvas.height * roiTopPct);
     const w = Math.floor(processingCanvas.width * (roiRightPct - roiLeftPct));
     const h = Math.max(ROI_MIN_HEIGHT_PX, Math.floor(processingCanvas.height * (roiBottomPct - roiTopPct)));
-    return { x, y, width: w, height: h };
+    return { x, y, width: w, height: h, aspectLocked: roiAspectLocked };
   }
 
   // Draw a shaded overlay around the selected area.
@@ -665,6 +1306,12 @@ export function createCameraController({
     const roi = computeROI();
     const metrics = getOverlayMetrics();
 
+    if (roi.quad) {
+      drawQuadOverlay(roi.quad, metrics);
+      drawTraceOverlay(metrics);
+      return;
+    }
+
     pctx.save();
     pctx.fillStyle = 'rgba(0,0,0,0.25)';
     pctx.beginPath();
@@ -698,23 +1345,160 @@ export function createCameraController({
     pctx.fillRect(x0 - halfHandleWidth, y1 - halfHandleHeight, metrics.handleWidth, metrics.handleHeight);
     pctx.fillRect(x1 - halfHandleWidth, y1 - halfHandleHeight, metrics.handleWidth, metrics.handleHeight);
     pctx.restore();
+
+    drawTraceOverlay(metrics);
+  }
+
+  // Draw the latest trace preview: the detected component, the extracted centreline and
+  // red bands over columns where no trace was found.
+  function drawTraceOverlay(metrics) {
+    if (!traceOverlayEnabled || !traceOverlay) return;
+
+    const { roi, maskCanvas, maskWidth, maskHeight, tracePath, deskewAngleDeg } = traceOverlay;
+
+    // Map a point in mask pixels back onto the preview.
+    let mapPoint;
+    if (roi.quad) {
+      // Bilinear blend of the corners: close to the perspective warp for a modest keystone.
+      const [topLeft, topRight, bottomRight, bottomLeft] = roi.quad;
+      mapPoint = (x, y) => {
+        const u = x / Math.max(1, maskWidth - 1);
+        const v = y / Math.max(1, maskHeight - 1);
+        return {
+          x: (topLeft.x * (1 - u) * (1 - v)) + (topRight.x * u * (1 - v)) + (bottomRight.x * u * v) + (bottomLeft.x * (1 - u) * v),
+          y: (topLeft.y * (1 - u) * (1 - v)) + (topRight.y * u * (1 - v)) + (bottomRight.y * u * v) + (bottomLeft.y * (1 - u) * v),
+        };
+      };
+    } else {
+      const angle = (deskewAngleDeg * Math.PI) / 180;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      const centerX = roi.x + roi.width / 2;
+      const centerY = roi.y + roi.height / 2;
+      mapPoint = (x, y) => {
+        // Scale into the ROI, then undo the deskew rotation about the ROI centre.
+        const localX = ((x / Math.max(1, maskWidth)) * roi.width) - roi.width / 2;
+        const localY = ((y / Math.max(1, maskHeight)) * roi.height) - roi.height / 2;
+        return {
+          x: centerX + (localX * cos) - (localY * sin),
+          y: centerY + (localX * sin) + (localY * cos),
+        };
+      };
+
+      pctx.save();
+      pctx.translate(centerX, centerY);
+      pctx.rotate(angle);
+      pctx.drawImage(maskCanvas, -roi.width / 2, -roi.height / 2, roi.width, roi.height);
+      pctx.restore();
+    }
+
+    // Columns with no detection, grouped into runs.
+    pctx.save();
+    pctx.fillStyle = 'rgba(255, 60, 60, 0.28)';
+    let gapStart = -1;
+    for (let x = 0; x <= tracePath.length; x++) {
+      const missing = x < tracePath.length && !Number.isFinite(tracePath[x]);
+      if (missing && gapStart < 0) gapStart = x;
+      if (!missing && gapStart >= 0) {
+        const corners = [
+          mapPoint(gapStart, 0),
+          mapPoint(x, 0),
+          mapPoint(x, maskHeight - 1),
+          mapPoint(gapStart, maskHeight - 1),
+        ];
+        pctx.beginPath();
+        corners.forEach((corner, index) => (index === 0 ? pctx.moveTo(corner.x, corner.y) : pctx.lineTo(corner.x, corner.y)));
+        pctx.closePath();
+        pctx.fill();
+        gapStart = -1;
+      }
+    }
+    pctx.restore();
+
+    // Extracted centreline.
+    pctx.save();
+    pctx.strokeStyle = '#ff3df2';
+    pctx.lineWidth = metrics.lineWidth;
+    pctx.beginPath();
+    let drawing = false;
+    for (let x = 0; x < tracePath.length; x++) {
+      if (!Number.isFinite(tracePath[x])) {
+        drawing = false;
+        continue;
+      }
+      const point = mapPoint(x, tracePath[x]);
+      if (drawing) {
+        pctx.lineTo(point.x, point.y);
+      } else {
+        pctx.moveTo(point.x, point.y);
+        drawing = true;
+      }
+    }
+    pctx.stroke();
+    pctx.restore();
+  }
+
+  function drawQuadOverlay(quad, metrics) {
+    const traceQuad = () => {
+      pctx.moveTo(quad[0].x, quad[0].y);
+      for (let i = 1; i < quad.length; i++) {
+        pctx.lineTo(quad[i].x, quad[i].y);
+      }
+      pctx.closePath();
+    };
+
+    pctx.save();
+    pctx.fillStyle = 'rgba(0,0,0,0.25)';
+    pctx.beginPath();
+    pctx.rect(0, 0, processingCanvas.width, processingCanvas.height);
+    traceQuad();
+    pctx.fill('evenodd');
+    pctx.restore();
+
+    pctx.save();
+    pctx.strokeStyle = '#ffcc00';
+    pctx.lineWidth = metrics.lineWidth;
+    pctx.setLineDash([metrics.dashLength, metrics.dashGap]);
+    pctx.beginPath();
+    traceQuad();
+    pctx.stroke();
+    pctx.restore();
+
+    pctx.save();
+    pctx.fillStyle = '#ffcc00';
+    for (const corner of quad) {
+      pctx.fillRect(
+        corner.x - metrics.handleWidth / 2,
+        corner.y - metrics.handleHeight / 2,
+        metrics.handleWidth,
+        metrics.handleHeight,
+      );
+    }
+    pctx.restore();
   }
 
   // Keep the live preview and ROI overlay updating.
   function startOverlayLoop() {
     function loop() {
-      if (!currentStream || !previewActive) {
+      if (!hasPreviewSource() || !previewActive) {
         overlayAnimationId = null;
         return;
       }
 
-      if (video.readyState < 2 || processingCanvas.width === 0 || processingCanvas.height === 0) {
+      if (!isFrameSourceReady() || processingCanvas.width === 0 || processingCanvas.height === 0) {
+        overlayAnimationId = requestAnimationFrame(loop);
+        return;
+      }
+
+      if (stageCanvas) {
+        drawStageImage();
+        maybeScheduleLiveFrame();
         overlayAnimationId = requestAnimationFrame(loop);
         return;
       }
 
       pctx.drawImage(
-        video,
+        getFrameSource(),
         currentFrameRect.x,
         currentFrameRect.y,
         currentFrameRect.width,
@@ -725,12 +1509,57 @@ export function createCameraController({
         processingCanvas.height,
       );
       drawOverlay();
+      maybeScheduleLiveFrame();
       overlayAnimationId = requestAnimationFrame(loop);
     }
 
     if (overlayAnimationId == null) loop();
   }
 
+  // Show a pipeline stage snapshot in place of the preview, or pass null to go back to the preview.
+  // Live frames keep being processed underneath so the viewer can follow them.
+  function setStageImage(imageData) {
+    if (imageData) {
+      stageCanvas = stageCanvas || document.createElement('canvas');
+      stageCanvas.width = imageData.width;
+      stageCanvas.height = imageData.height;
+      stageCanvas.getContext('2d').putImageData(imageData, 0, 0);
+      drawStageImage();
+      return;
+    }
+
+    stageCanvas = null;
+    if (!hasPreviewSource() || !previewActive) clearPreview();
+  }
+
+  // Blank the canvas when the preview stops, keeping a stage snapshot on screen if one is shown.
+  function clearPreview() {
+    if (stageCanvas) {
+      drawStageImage();
+      return;
+    }
+    pctx.clearRect(0, 0, processingCanvas.width, processingCanvas.height);
+  }
+
+  // Fit the snapshot (ROI-sized) inside the canvas without smoothing, so single pixels stay visible.
+  function drawStageImage() {
+    const scale = Math.min(processingCanvas.width / stageCanvas.width, processingCanvas.height / stageCanvas.height);
+    const drawWidth = stageCanvas.width * scale;
+    const drawHeight = stageCanvas.height * scale;
+    pctx.save();
+    pctx.fillStyle = '#000';
+    pctx.fillRect(0, 0, processingCanvas.width, processingCanvas.height);
+    pctx.imageSmoothingEnabled = false;
+    pctx.drawImage(
+      stageCanvas,
+      (processingCanvas.width - drawWidth) / 2,
+      (processingCanvas.height - drawHeight) / 2,
+      drawWidth,
+      drawHeight,
+    );
+    pctx.restore();
+  }
+
   // Stop the live overlay loop.
   function stopOverlayLoop() {
     if (overlayAnimationId != null) {
@@ -748,12 +1577,7 @@ export function createCameraController({
   // Try the chosen camera first, then fall back to any camera.
   async function getPreferredCameraStream() {
     const facing = preferredFacing || 'user';
-
-    const attempts = [
-      { video: { facingMode: { exact: facing } }, audio: false },
-      { video: { facingMode: { ideal: facing } }, audio: false },
-      { video: true, audio: false },
-    ];
+    const attempts = cameraSettings.getVideoConstraintAttempts(facing);
 
     for (const constraints of attempts) {
       const stream = await navigator.mediaDevices.getUserMedia(constraints).catch(() => null);
@@ -769,6 +1593,13 @@ export function createCameraController({
     stopCamera,
     setPreviewActive,
     isCameraRunning,
+    hasPreviewSource,
+    loadImageFile,
+    setROIShape,
+    setROIAspectLocked,
+    setLiveMode,
+    setTraceOverlayEnabled,
+    setStageImage,
     getCurrentVideoTrackSettings,
     refreshPreviewLayout: syncPreviewFrameRect,
   };
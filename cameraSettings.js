@@ -0,0 +1,257 @@
+// Camera settings:
+// - lists the available cameras and capture resolutions
+// - shows zoom, focus, torch and exposure controls when the current track supports them
+// - remembers the choices so they are applied again after a camera restart
+
+const SETTINGS_STORAGE_KEY = 'waveformSynth.cameraSettings';
+
+const RESOLUTION_PRESETS = {
+  auto: null,
+  '640x480': { width: 640, height: 480 },
+  '1280x720': { width: 1280, height: 720 },
+  '1920x1080': { width: 1920, height: 1080 },
+};
+
+const DEFAULT_SETTINGS = {
+  deviceId: '',
+  resolution: 'auto',
+  zoom: null,
+  focusMode: null,
+  torch: false,
+  exposureCompensation: null,
+};
+
+export function createCameraSettings({
+  container,
+  deviceSelect,
+  resolutionSelect,
+  zoomInput,
+  focusModeSelect,
+  torchInput,
+  exposureCompensationInput,
+  onSourceChange,
+}) {
+  // Track constraints handled through applyConstraints, with the element that edits each one.
+  const trackControls = [
+    { name: 'zoom', element: zoomInput, kind: 'range' },
+    { name: 'focusMode', element: focusModeSelect, kind: 'select' },
+    { name: 'torch', element: torchInput, kind: 'toggle' },
+    { name: 'exposureCompensation', element: exposureCompensationInput, kind: 'range' },
+  ];
+
+  let settings = loadSettings();
+  let activeTrack = null;
+
+  function init() {
+    if (resolutionSelect) {
+      resolutionSelect.value = settings.resolution;
+      resolutionSelect.addEventListener('change', () => {
+        updateSettings({ resolution: resolutionSelect.value in RESOLUTION_PRESETS ? resolutionSelect.value : 'auto' });
+        notifySourceChange();
+      });
+    }
+
+    if (deviceSelect) {
+      deviceSelect.addEventListener('change', () => {
+        updateSettings({ deviceId: deviceSelect.value });
+        notifySourceChange();
+      });
+    }
+
+    trackControls.forEach(({ name, element, kind }) => {
+      if (!element) return;
+      const eventName = kind === 'range' ? 'input' : 'change';
+      element.addEventListener(eventName, () => {
+        const value = readControlValue(element, kind);
+        updateSettings({ [name]: value });
+        void applyTrackConstraint(name, value);
+      });
+    });
+
+    setVisible(container, false);
+  }
+
+  // Build getUserMedia attempts: the saved device first, then the preferred facing mode,
+  // then any camera. The chosen resolution is requested as an ideal size on each attempt.
+  function getVideoConstraintAttempts(facing) {
+    const resolution = RESOLUTION_PRESETS[settings.resolution] || null;
+    const size = resolution
+      ? { width: { ideal: resolution.width }, height: { ideal: resolution.height } }
+      : {};
+
+    const attempts = [];
+    if (settings.deviceId) {
+      attempts.push({ video: { deviceId: { exact: settings.deviceId }, ...size }, audio: false });
+    }
+    attempts.push(
+      { video: { facingMode: { exact: facing }, ...size }, audio: false },
+      { video: { facingMode: { ideal: facing }, ...size }, audio: false },
+      { video: true, audio: false },
+    );
+    return attempts;
+  }
+
+  // Called once a stream is running: fill the device list, show supported controls and
+  // re-apply the saved values.
+  async function attachTrack(track) {
+    activeTrack = track || null;
+    setVisible(container, !!activeTrack);
+    if (!activeTrack) return;
+
+    await populateDeviceList();
+    syncControlsToCapabilities();
+    await applySavedTrackSettings();
+  }
+
+  function detachTrack() {
+    activeTrack = null;
+    setVisible(container, false);
+  }
+
+  // Switching front/back camera should pick by facing mode again rather than the saved device.
+  function clearDeviceSelection() {
+    updateSettings({ deviceId: '' });
+    if (deviceSelect) deviceSelect.value = '';
+  }
+
+  async function populateDeviceList() {
+    if (!deviceSelect || !navigator.mediaDevices?.enumerateDevices) return;
+
+    let devices = [];
+    try {
+      devices = (await navigator.mediaDevices.enumerateDevices())
+        .filter((device) => device.kind === 'videoinput');
+    } catch (err) {
+      console.error('Camera list error:', err);
+    }
+
+    const activeDeviceId = activeTrack?.getSettings?.().deviceId || '';
+    deviceSelect.replaceChildren();
+    devices.forEach((device, index) => {
+      const option = document.createElement('option');
+      option.value = device.deviceId;
+      option.textContent = device.label || `Camera ${index + 1}`;
+      deviceSelect.appendChild(option);
+    });
+    deviceSelect.value = activeDeviceId || settings.deviceId || '';
+    setVisible(getSettingWrapper(deviceSelect), devices.length > 1);
+  }
+
+  // Hide every control the track cannot change and fit the rest to the reported ranges.
+  function syncControlsToCapabilities() {
+    const capabilities = typeof activeTrack?.getCapabilities === 'function'
+      ? activeTrack.getCapabilities()
+      : {};
+    const current = activeTrack?.getSettings?.() || {};
+
+    trackControls.forEach(({ name, element, kind }) => {
+      if (!element) return;
+      const capability = capabilities[name];
+      const supported = isCapabilitySupported(capability, kind);
+      setVisible(getSettingWrapper(element), supported);
+      if (!supported) return;
+
+      if (kind === 'range') {
+        element.min = capability.min;
+        element.max = capability.max;
+        element.step = capability.step || 'any';
+      } else if (kind === 'select') {
+        element.replaceChildren();
+        capability.forEach((mode) => {
+          const option = document.createElement('option');
+          option.value = mode;
+          option.textContent = mode;
+          element.appendChild(option);
+        });
+      }
+
+      const value = settings[name] ?? current[name];
+      if (value !== undefined && value !== null) {
+        writeControlValue(element, kind, value);
+      }
+    });
+  }
+
+  function isCapabilitySupported(capability, kind) {
+    if (kind === 'range') {
+      return !!capability && Number.isFinite(capability.min) && Number.isFinite(capability.max) && capability.max > capability.min;
+    }
+    if (kind === 'select') {
+      return Array.isArray(capability) && capability.length > 1;
+    }
+    // Torch is reported as a boolean, or as a list of allowed values on some browsers.
+    return capability === true || (Array.isArray(capability) && capability.includes(true));
+  }
+
+  async function applySavedTrackSettings() {
+    for (const { name, element } of trackControls) {
+      if (settings[name] === null || settings[name] === undefined) continue;
+      if (element && getSettingWrapper(element)?.classList.contains('hidden')) continue;
+      await applyTrackConstraint(name, settings[name]);
+    }
+  }
+
+  async function applyTrackConstraint(name, value) {
+    if (!activeTrack || typeof activeTrack.applyConstraints !== 'function') return;
+    try {
+      await activeTrack.applyConstraints({ advanced: [{ [name]: value }] });
+    } catch (err) {
+      console.error(`Camera ${name} error:`, err);
+    }
+  }
+
+  function readControlValue(element, kind) {
+    if (kind === 'toggle') return !!element.checked;
+    if (kind === 'range') return Number(element.value);
+    return element.value;
+  }
+
+  function writeControlValue(element, kind, value) {
+    if (kind === 'toggle') {
+      element.checked = !!value;
+    } else {
+      element.value = value;
+    }
+  }
+
+  function getSettingWrapper(element) {
+    return element?.closest('.camera-setting') || element;
+  }
+
+  function setVisible(element, isVisible) {
+    if (!element) return;
+    element.classList.toggle('hidden', !isVisible);
+  }
+
+  function notifySourceChange() {
+    if (typeof onSourceChange === 'function') {
+      onSourceChange();
+    }
+  }
+
+  function updateSettings(changes) {
+    settings = { ...settings, ...changes };
+    try {
+      localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (err) {
+      // Storage can be unavailable in private browsing; settings then last for this session only.
+    }
+  }
+
+  function loadSettings() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || 'null');
+      return stored && typeof stored === 'object' ? { ...DEFAULT_SETTINGS, ...stored } : { ...DEFAULT_SETTINGS };
+    } catch (err) {
+      return { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  return {
+    init,
+    getVideoConstraintAttempts,
+    attachTrack,
+    detachTrack,
+    clearDeviceSelection,
+  };
+}
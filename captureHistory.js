@@ -0,0 +1,218 @@
+// Capture history:
+// - stores each capture's raw frame, ROI and extracted waveform in IndexedDB
+// - shows the saved captures as thumbnails
+// - lets an older capture be restored or run through the pipeline again
+
+const DB_NAME = 'waveformSynthHistory';
+const DB_VERSION = 1;
+const STORE_NAME = 'captures';
+const MAX_HISTORY_ENTRIES = 20; // Raw frames are large, so only the most recent captures are kept.
+const THUMBNAIL_WIDTH_PX = 120;
+
+export function createCaptureHistory({
+  listElement,
+  clearButton,
+  onRestore,
+  onReprocess,
+}) {
+  let databasePromise = null;
+
+  async function init() {
+    if (clearButton) {
+      clearButton.addEventListener('click', () => {
+        clearHistory().catch((err) => {
+          console.error('History clear error:', err);
+        });
+      });
+    }
+
+    await renderList();
+  }
+
+  // Save one capture and refresh the thumbnails. Oldest entries are dropped past the limit.
+  async function addEntry({ imageData, roi, waveform }) {
+    if (!imageData || !waveform) return null;
+
+    const entry = {
+      createdAt: Date.now(),
+      frame: {
+        width: imageData.width,
+        height: imageData.height,
+        data: imageData.data.slice(),
+      },
+      roi: cloneROI(roi),
+      waveform: Float32Array.from(waveform),
+      thumbnail: createThumbnail(imageData, roi),
+    };
+
+    const id = await runRequest('readwrite', (store) => store.add(entry));
+    await trimHistory();
+    await renderList();
+    return id;
+  }
+
+  // Store a new waveform for an existing entry after it has been re-processed.
+  async function updateEntryWaveform(id, waveform) {
+    const entry = await getEntry(id);
+    if (!entry || !waveform) return;
+    entry.waveform = Float32Array.from(waveform);
+    await runRequest('readwrite', (store) => store.put(entry));
+  }
+
+  // Turn a stored entry back into the objects the pipeline expects.
+  async function getEntry(id) {
+    const entry = await runRequest('readonly', (store) => store.get(id));
+    if (!entry) return null;
+    return {
+      ...entry,
+      imageData: new ImageData(new Uint8ClampedArray(entry.frame.data), entry.frame.width, entry.frame.height),
+    };
+  }
+
+  async function clearHistory() {
+    await runRequest('readwrite', (store) => store.clear());
+    await renderList();
+  }
+
+  async function trimHistory() {
+    const keys = await runRequest('readonly', (store) => store.getAllKeys());
+    const excess = keys.length - MAX_HISTORY_ENTRIES;
+    for (let i = 0; i < excess; i++) {
+      await runRequest('readwrite', (store) => store.delete(keys[i]));
+    }
+  }
+
+  async function renderList() {
+    if (!listElement) return;
+
+    let entries = [];
+    try {
+      entries = await runRequest('readonly', (store) => store.getAll());
+    } catch (err) {
+      console.error('History load error:', err);
+    }
+
+    listElement.replaceChildren();
+    // Newest first.
+    entries.reverse().forEach((entry) => {
+      listElement.appendChild(createListItem(entry));
+    });
+    if (clearButton) clearButton.disabled = entries.length === 0;
+  }
+
+  function createListItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+
+    const restoreButton = document.createElement('button');
+    restoreButton.type = 'button';
+    restoreButton.className = 'history-thumbnail';
+    restoreButton.title = 'Restore this waveform';
+    const image = document.createElement('img');
+    image.src = entry.thumbnail;
+    image.alt = `Capture from ${formatTime(entry.createdAt)}`;
+    restoreButton.appendChild(image);
+    restoreButton.addEventListener('click', () => handleEntryAction(entry.id, onRestore));
+
+    const caption = document.createElement('span');
+    caption.className = 'history-caption';
+    caption.textContent = formatTime(entry.createdAt);
+
+    const reprocessButton = document.createElement('button');
+    reprocessButton.type = 'button';
+    reprocessButton.className = 'history-reprocess';
+    reprocessButton.textContent = 'Re-process';
+    reprocessButton.title = 'Run this frame through the pipeline again with the current settings';
+    reprocessButton.addEventListener('click', () => handleEntryAction(entry.id, onReprocess));
+
+    item.append(restoreButton, caption, reprocessButton);
+    return item;
+  }
+
+  async function handleEntryAction(id, callback) {
+    if (typeof callback !== 'function') return;
+    try {
+      const entry = await getEntry(id);
+      if (entry) await callback(entry);
+    } catch (err) {
+      console.error('History entry error:', err);
+    }
+  }
+
+  // Draw the ROI part of the frame into a small JPEG data URL.
+  function createThumbnail(imageData, roi) {
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.width = imageData.width;
+    frameCanvas.height = imageData.height;
+    frameCanvas.getContext('2d').putImageData(imageData, 0, 0);
+
+    const source = roi && roi.width > 0 && roi.height > 0
+      ? roi
+      : { x: 0, y: 0, width: imageData.width, height: imageData.height };
+    const thumbnailCanvas = document.createElement('canvas');
+    thumbnailCanvas.width = THUMBNAIL_WIDTH_PX;
+    thumbnailCanvas.height = Math.max(1, Math.round(THUMBNAIL_WIDTH_PX * (source.height / source.width)));
+    thumbnailCanvas.getContext('2d').drawImage(
+      frameCanvas,
+      source.x,
+      source.y,
+      source.width,
+      source.height,
+      0,
+      0,
+      thumbnailCanvas.width,
+      thumbnailCanvas.height,
+    );
+    return thumbnailCanvas.toDataURL('image/jpeg', 0.7);
+  }
+
+  function cloneROI(roi) {
+    if (!roi) return null;
+    return {
+      ...roi,
+      quad: Array.isArray(roi.quad) ? roi.quad.map((corner) => ({ ...corner })) : undefined,
+    };
+  }
+
+  function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  }
+
+  function openDatabase() {
+    if (!databasePromise) {
+      databasePromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return databasePromise;
+  }
+
+  // Run one request in its own transaction and resolve with its result.
+  async function runRequest(mode, makeRequest) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  return {
+    init,
+    addEntry,
+    updateEntryWaveform,
+    getEntry,
+    clearHistory,
+  };
+}
@@ -0,0 +1,81 @@
+// Capture quality:
+// - grades one extracted trace from its column coverage, gaps, component score margin, stroke thickness and loop-point jump
+// - lists a warning with a suggested fix for every measure outside its limit
+// - the measures come from the extractor (coverage, gaps, loop jump) and the image processor (score margin, thickness)
+
+const CAPTURE_QUALITY_CONFIG = {
+  fairCoverage: 0.85, // Share of columns where the trace was really found, below which the capture is flagged.
+  poorCoverage: 0.6, // Below this most of the waveform is filled in, so a retake is offered.
+  fairLongestGapRatio: 0.08, // Longest single gap as a share of the width.
+  poorLongestGapRatio: 0.25,
+  minScoreMargin: 1.5, // Trace score over the best component left out; below it the choice was a close call.
+  maxStrokeThicknessRatio: 0.12, // Stroke thickness as a share of the ROI height; thicker is usually a shadow or a blob.
+  maxLoopJump: 0.3, // Level step from the last sample back to the first (full scale spans 2).
+  minPeakToPeak: 0.04, // Anything flatter is more likely a stray line than the drawn waveform.
+};
+
+// Level step where the loop wraps around, which is heard as a click.
+export function measureLoopJump(waveform) {
+  if (!waveform || waveform.length < 2) return 0;
+  return Math.abs(waveform[waveform.length - 1] - waveform[0]);
+}
+
+// Grade a quality report: the extractor's measures merged with the processor's for the same trace.
+// Missing measures (for example the score margin when nothing else was scored) are skipped.
+// Returns { level: 'good' | 'fair' | 'poor', warnings: [{ id, level, message }] }.
+export function assessCaptureQuality(report) {
+  const settings = CAPTURE_QUALITY_CONFIG;
+  const warnings = [];
+  const warn = (id, level, message) => warnings.push({ id, level, message });
+
+  const coveragePercent = Math.round(report.coverage * 100);
+  if (report.coverage < settings.fairCoverage) {
+    warn(
+      'coverage',
+      report.coverage < settings.poorCoverage ? 'poor' : 'fair',
+      `The trace was found in only ${coveragePercent}% of columns. Even out the lighting, or try the Hysteresis threshold for faint strokes.`,
+    );
+  }
+
+  const longestGapRatio = report.longestGap / Math.max(1, report.sampleCount);
+  if (longestGapRatio > settings.fairLongestGapRatio) {
+    warn(
+      'gaps',
+      longestGapRatio > settings.poorLongestGapRatio ? 'poor' : 'fair',
+      `The longest gap is ${report.longestGap} columns (${Math.round(longestGapRatio * 100)}% of the width); the filled-in part is a guess.`,
+    );
+  }
+
+  if (Number.isFinite(report.scoreMargin) && report.scoreMargin < settings.minScoreMargin) {
+    warn(
+      'margin',
+      'fair',
+      `Another shape scored almost as high as the trace (${report.scoreMargin.toFixed(1)}×). Tighten the ROI around the waveform.`,
+    );
+  }
+
+  if (Number.isFinite(report.strokeThicknessRatio) && report.strokeThicknessRatio > settings.maxStrokeThicknessRatio) {
+    warn(
+      'thickness',
+      'fair',
+      `The stroke is ${report.strokeThicknessPx.toFixed(0)} px thick, so a shadow, glare or filled shape may have been picked up.`,
+    );
+  }
+
+  if (report.peakToPeak < settings.minPeakToPeak) {
+    warn('flat', 'poor', 'The waveform is almost flat. Check that the ROI covers the drawn trace.');
+  }
+
+  if (report.loopJump > settings.maxLoopJump) {
+    warn(
+      'loop',
+      'fair',
+      `The loop jumps by ${report.loopJump.toFixed(2)} where it wraps around, which clicks. Trim to whole cycles.`,
+    );
+  }
+
+  const level = warnings.some((warning) => warning.level === 'poor')
+    ? 'poor'
+    : warnings.length > 0 ? 'fair' : 'good';
+  return { level, warnings };
+}
@@ -0,0 +1,112 @@
+// Cycle detection:
+// - estimates the fundamental period of an extracted waveform with autocorrelation
+// - places cycle boundaries on upward zero crossings so a trimmed loop starts and ends level
+// - picks the sample range for one or a whole number of cycles
+
+const CYCLE_DETECTION_CONFIG = {
+  minCycleSamples: 16, // Shorter periods are treated as noise rather than a cycle.
+  maxLagRatio: 0.75, // Longest period searched, as a share of the width (needs about 1.33 cycles).
+  minCorrelation: 0.5, // Weaker autocorrelation peaks do not count as a repeat.
+  peakTolerance: 0.9, // The first peak within this share of the best one wins, so multiples of the period lose.
+};
+
+// Find the repeating period of the waveform.
+// Returns { periodSamples, boundaries, cycleCount } or null when no clear repeat is found.
+// boundaries are sample indices one period apart, starting at the first upward zero crossing.
+export function detectCycles(waveform) {
+  if (!waveform || waveform.length < CYCLE_DETECTION_CONFIG.minCycleSamples * 2) return null;
+
+  const correlation = computeAutocorrelation(waveform);
+  const periodSamples = findPeriodFromAutocorrelation(correlation);
+  if (!periodSamples) return null;
+
+  const start = findUpwardZeroCrossing(waveform, 0, Math.ceil(periodSamples), periodSamples);
+  const boundaries = [];
+  for (let position = start; position <= waveform.length + 1e-6; position += periodSamples) {
+    boundaries.push(position);
+  }
+
+  return {
+    periodSamples,
+    boundaries,
+    cycleCount: waveform.length / periodSamples,
+  };
+}
+
+// Sample range [start, end) covering the requested number of whole cycles.
+// Pass Infinity to keep as many whole cycles as fit. Returns null when not even one fits.
+export function getCycleTrimRange(analysis, requestedCycles, length) {
+  if (!analysis || analysis.boundaries.length < 2) return null;
+
+  const start = analysis.boundaries[0];
+  const availableCycles = analysis.boundaries.length - 1;
+  const cycles = Math.max(1, Math.min(availableCycles, Math.floor(requestedCycles)));
+  const end = Math.min(length, start + (cycles * analysis.periodSamples));
+  return {
+    start: Math.round(start),
+    end: Math.round(end),
+  };
+}
+
+// Normalized autocorrelation over the overlapping part of the waveform for each lag.
+function computeAutocorrelation(waveform) {
+  const length = waveform.length;
+  const maxLag = Math.floor(length * CYCLE_DETECTION_CONFIG.maxLagRatio);
+  const correlation = new Float32Array(maxLag + 1);
+
+  for (let lag = 0; lag <= maxLag; lag++) {
+    let sumProduct = 0;
+    let sumA = 0;
+    let sumB = 0;
+    for (let i = 0; i + lag < length; i++) {
+      const a = waveform[i];
+      const b = waveform[i + lag];
+      sumProduct += a * b;
+      sumA += a * a;
+      sumB += b * b;
+    }
+    const denominator = Math.sqrt(sumA * sumB);
+    correlation[lag] = denominator > 1e-12 ? sumProduct / denominator : 0;
+  }
+
+  return correlation;
+}
+
+// Take the first strong local maximum past the minimum period and refine it with a parabola.
+function findPeriodFromAutocorrelation(correlation) {
+  const minLag = CYCLE_DETECTION_CONFIG.minCycleSamples;
+  const peaks = [];
+  for (let lag = Math.max(1, minLag); lag < correlation.length - 1; lag++) {
+    if (correlation[lag] >= correlation[lag - 1] && correlation[lag] > correlation[lag + 1]) {
+      peaks.push(lag);
+    }
+  }
+  if (peaks.length === 0) return null;
+
+  const bestValue = Math.max(...peaks.map((lag) => correlation[lag]));
+  if (bestValue < CYCLE_DETECTION_CONFIG.minCorrelation) return null;
+
+  const lag = peaks.find((candidate) => correlation[candidate] >= bestValue * CYCLE_DETECTION_CONFIG.peakTolerance);
+  const previous = correlation[lag - 1];
+  const current = correlation[lag];
+  const next = correlation[lag + 1];
+  const curvature = previous - (2 * current) + next;
+  const offset = Math.abs(curvature) > 1e-12 ? (0.5 * (previous - next)) / curvature : 0;
+  return lag + Math.max(-0.5, Math.min(0.5, offset));
+}
+
+// First index in [from, to) where the waveform rises through zero, or from when there is none.
+// The signal must also be below zero a few samples before and above it a few samples after,
+// so noise wobbling around a falling edge does not count.
+function findUpwardZeroCrossing(waveform, from, to, periodSamples) {
+  const end = Math.min(waveform.length, to);
+  const window = Math.max(2, Math.round(periodSamples / 32));
+  for (let i = Math.max(1, from); i < end; i++) {
+    if (!(waveform[i - 1] < 0 && waveform[i] >= 0)) continue;
+    // Right at the start there is nothing earlier to check.
+    const before = i >= window ? waveform[i - window] : -1;
+    const after = waveform[Math.min(waveform.length - 1, i + window)];
+    if (before < 0 && after > 0) return i;
+  }
+  return from;
+}
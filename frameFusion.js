@@ -0,0 +1,139 @@
+// Frame fusion:
+// - lines up a burst of camera frames against the first one (small translations only)
+// - median-combines them so sensor noise drops out and thin traces stay continuous
+
+const FUSION_CONFIG = {
+  maxShiftPx: 8, // Largest hand-shake translation searched for between burst frames.
+  sampleStridePx: 3, // Compare every third pixel in each direction while searching.
+};
+
+// Fuse a burst of same-sized frames into one ImageData.
+// The ROI limits which part of each frame is used to measure the shift.
+export function fuseBurstFrames(frames, roi) {
+  if (!Array.isArray(frames) || frames.length === 0) return null;
+  if (frames.length === 1) return frames[0];
+
+  const { width, height } = frames[0];
+  const region = getAlignmentRegion(width, height, roi);
+  const reference = toGrayscale(frames[0]);
+  const offsets = frames.map((frame, index) => (index === 0
+    ? { dx: 0, dy: 0 }
+    : estimateTranslation(reference, toGrayscale(frame), width, region)));
+
+  return medianCombineFrames(frames, offsets, width, height);
+}
+
+// Use the ROI bounding box when it is valid, otherwise the whole frame.
+function getAlignmentRegion(width, height, roi) {
+  if (!roi || !(roi.width > 0) || !(roi.height > 0)) {
+    return { x: 0, y: 0, width, height };
+  }
+
+  const x = Math.max(0, Math.min(width - 1, Math.floor(roi.x)));
+  const y = Math.max(0, Math.min(height - 1, Math.floor(roi.y)));
+  return {
+    x,
+    y,
+    width: Math.max(1, Math.min(width - x, Math.floor(roi.width))),
+    height: Math.max(1, Math.min(height - y, Math.floor(roi.height))),
+  };
+}
+
+function toGrayscale(frame) {
+  const { data } = frame;
+  const gray = new Float32Array(data.length / 4);
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return gray;
+}
+
+// Search every translation up to maxShiftPx for the one with the smallest mean absolute
+// difference. Only every few pixels are compared, which is plenty for a thin dark trace.
+// A positive offset means the frame content sits that many pixels further right or down.
+function estimateTranslation(reference, frame, width, region) {
+  const maxShift = FUSION_CONFIG.maxShiftPx;
+  const stride = FUSION_CONFIG.sampleStridePx;
+  const x0 = region.x + maxShift;
+  const x1 = region.x + region.width - maxShift;
+  const y0 = region.y + maxShift;
+  const y1 = region.y + region.height - maxShift;
+  if (x1 <= x0 || y1 <= y0) return { dx: 0, dy: 0 };
+
+  // Compensate for an overall exposure change between frames.
+  let referenceSum = 0;
+  let frameSum = 0;
+  let sampleCount = 0;
+  for (let y = y0; y < y1; y += stride) {
+    for (let x = x0; x < x1; x += stride) {
+      referenceSum += reference[y * width + x];
+      frameSum += frame[y * width + x];
+      sampleCount++;
+    }
+  }
+  const brightnessOffset = sampleCount > 0 ? (frameSum - referenceSum) / sampleCount : 0;
+
+  let best = { dx: 0, dy: 0 };
+  let bestError = Infinity;
+  for (let dy = -maxShift; dy <= maxShift; dy++) {
+    for (let dx = -maxShift; dx <= maxShift; dx++) {
+      let error = 0;
+      for (let y = y0; y < y1; y += stride) {
+        const referenceRow = y * width;
+        const frameRow = (y + dy) * width + dx;
+        for (let x = x0; x < x1; x += stride) {
+          error += Math.abs(reference[referenceRow + x] - (frame[frameRow + x] - brightnessOffset));
+        }
+      }
+      // Prefer the smaller shift on ties so a static scene stays put.
+      const isTie = error === bestError && Math.abs(dx) + Math.abs(dy) < Math.abs(best.dx) + Math.abs(best.dy);
+      if (error < bestError || isTie) {
+        bestError = error;
+        best = { dx, dy };
+      }
+    }
+  }
+
+  return best;
+}
+
+// Take the per-pixel, per-channel median across the aligned frames.
+function medianCombineFrames(frames, offsets, width, height) {
+  const frameCount = frames.length;
+  const fused = new ImageData(width, height);
+  const samples = new Uint8Array(frameCount);
+  const middle = Math.floor(frameCount / 2);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const dstIdx = (y * width + x) * 4;
+
+      for (let channel = 0; channel < 3; channel++) {
+        for (let f = 0; f < frameCount; f++) {
+          const srcX = Math.max(0, Math.min(width - 1, x + offsets[f].dx));
+          const srcY = Math.max(0, Math.min(height - 1, y + offsets[f].dy));
+          samples[f] = frames[f].data[(srcY * width + srcX) * 4 + channel];
+        }
+
+        // Insertion sort is quickest for the handful of frames in a burst.
+        for (let i = 1; i < frameCount; i++) {
+          const value = samples[i];
+          let j = i - 1;
+          while (j >= 0 && samples[j] > value) {
+            samples[j + 1] = samples[j];
+            j--;
+          }
+          samples[j + 1] = value;
+        }
+
+        fused.data[dstIdx + channel] = frameCount % 2 === 1
+          ? samples[middle]
+          : Math.round((samples[middle - 1] + samples[middle]) / 2);
+      }
+
+      fused.data[dstIdx + 3] = 255;
+    }
+  }
+
+  return fused;
+}
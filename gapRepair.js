@@ -0,0 +1,183 @@
+// Gap repair:
+// - fills columns where no trace was found instead of dropping them to zero
+// - linear and cubic bridge each gap from the samples beside it and hold the level at the ends
+// - the periodic spline treats the waveform as a loop, so a gap at either end is bridged across the loop point
+
+const GAP_REPAIR_CONFIG = {
+  slopeWindow: 3, // Samples on each side of a gap used to estimate the slope for cubic bridging.
+};
+
+const GAP_REPAIR_METHODS = ['zero', 'linear', 'cubic', 'periodic'];
+
+// Fill the NaN samples of waveform in place.
+// Returns a Uint8Array with 1 for every repaired sample.
+export function repairWaveformGaps(waveform, method = 'linear') {
+  if (!GAP_REPAIR_METHODS.includes(method)) method = 'linear';
+  const length = waveform.length;
+  const repaired = new Uint8Array(length);
+  const known = [];
+  for (let i = 0; i < length; i++) {
+    if (Number.isNaN(waveform[i])) repaired[i] = 1;
+    else known.push(i);
+  }
+  if (known.length === length) return repaired;
+
+  // With fewer than two samples there is nothing to bridge between, so hold the one level there is.
+  if (method === 'zero' || known.length < 2) {
+    const fill = method !== 'zero' && known.length === 1 ? waveform[known[0]] : 0;
+    for (let i = 0; i < length; i++) {
+      if (repaired[i]) waveform[i] = fill;
+    }
+    return repaired;
+  }
+
+  if (method === 'periodic' && known.length >= 3) {
+    fillWithPeriodicSpline(waveform, known);
+    return repaired;
+  }
+
+  // Level ends: hold the first and last known values outward.
+  for (let i = 0; i < known[0]; i++) waveform[i] = waveform[known[0]];
+  for (let i = known[known.length - 1] + 1; i < length; i++) waveform[i] = waveform[known[known.length - 1]];
+
+  for (let k = 0; k < known.length - 1; k++) {
+    const left = known[k];
+    const right = known[k + 1];
+    if (right - left < 2) continue;
+    if (method === 'cubic') {
+      fillCubicBridge(waveform, left, right, repaired);
+    } else {
+      fillLinearBridge(waveform, left, right);
+    }
+  }
+  return repaired;
+}
+
+function fillLinearBridge(waveform, left, right) {
+  const span = right - left;
+  for (let i = left + 1; i < right; i++) {
+    const t = (i - left) / span;
+    waveform[i] = waveform[left] + ((waveform[right] - waveform[left]) * t);
+  }
+}
+
+// Cubic Hermite bridge whose ends match the level and slope of the trace on either side.
+function fillCubicBridge(waveform, left, right, repaired) {
+  const span = right - left;
+  const slopeLeft = estimateSlope(waveform, repaired, left, -1) * span;
+  const slopeRight = estimateSlope(waveform, repaired, right, 1) * span;
+  const y0 = waveform[left];
+  const y1 = waveform[right];
+  for (let i = left + 1; i < right; i++) {
+    const t = (i - left) / span;
+    const t2 = t * t;
+    const t3 = t2 * t;
+    waveform[i] = (((2 * t3) - (3 * t2) + 1) * y0)
+      + ((t3 - (2 * t2) + t) * slopeLeft)
+      + (((-2 * t3) + (3 * t2)) * y1)
+      + ((t3 - t2) * slopeRight);
+  }
+}
+
+// Slope per sample from the known run that ends at index, looking outward from the gap.
+// Falls back to flat when there is no run to measure.
+function estimateSlope(waveform, repaired, index, direction) {
+  let far = index;
+  for (let step = 1; step <= GAP_REPAIR_CONFIG.slopeWindow; step++) {
+    const candidate = index + (direction * step);
+    if (candidate < 0 || candidate >= waveform.length || repaired[candidate]) break;
+    far = candidate;
+  }
+  if (far === index) return 0;
+  return (waveform[index] - waveform[far]) / (index - far);
+}
+
+// Periodic cubic spline through every known sample, with the last one joined to the first
+// across the loop point. Only the missing samples are overwritten.
+function fillWithPeriodicSpline(waveform, known) {
+  const length = waveform.length;
+  const n = known.length;
+  const intervals = new Float64Array(n);
+  for (let k = 0; k < n; k++) {
+    intervals[k] = k < n - 1 ? known[k + 1] - known[k] : known[0] + length - known[n - 1];
+  }
+
+  // Cyclic tridiagonal system for the second derivative at each knot.
+  const lower = new Float64Array(n);
+  const diagonal = new Float64Array(n);
+  const upper = new Float64Array(n);
+  const rhs = new Float64Array(n);
+  for (let k = 0; k < n; k++) {
+    const previous = (k - 1 + n) % n;
+    const next = (k + 1) % n;
+    const hPrevious = intervals[previous];
+    const hNext = intervals[k];
+    lower[k] = hPrevious;
+    diagonal[k] = 2 * (hPrevious + hNext);
+    upper[k] = hNext;
+    rhs[k] = 6 * (((waveform[known[next]] - waveform[known[k]]) / hNext)
+      - ((waveform[known[k]] - waveform[known[previous]]) / hPrevious));
+  }
+  const secondDerivatives = solveCyclicTridiagonal(lower, diagonal, upper, rhs);
+
+  for (let k = 0; k < n; k++) {
+    const next = (k + 1) % n;
+    const h = intervals[k];
+    if (h < 2) continue;
+    const y0 = waveform[known[k]];
+    const y1 = waveform[known[next]];
+    const m0 = secondDerivatives[k];
+    const m1 = secondDerivatives[next];
+    for (let offset = 1; offset < h; offset++) {
+      const a = h - offset;
+      const b = offset;
+      const value = ((m0 * a * a * a) + (m1 * b * b * b)) / (6 * h)
+        + (((y0 / h) - ((m0 * h) / 6)) * a)
+        + (((y1 / h) - ((m1 * h) / 6)) * b);
+      waveform[(known[k] + offset) % length] = value;
+    }
+  }
+}
+
+// Sherman-Morrison on top of the Thomas algorithm. lower[0] and upper[n - 1] are the wrap-around terms.
+function solveCyclicTridiagonal(lower, diagonal, upper, rhs) {
+  const n = diagonal.length;
+  const gamma = -diagonal[0];
+  const alpha = upper[n - 1];
+  const beta = lower[0];
+
+  const modifiedDiagonal = Float64Array.from(diagonal);
+  modifiedDiagonal[0] -= gamma;
+  modifiedDiagonal[n - 1] -= (alpha * beta) / gamma;
+
+  const x = solveTridiagonal(lower, modifiedDiagonal, upper, rhs);
+  const u = new Float64Array(n);
+  u[0] = gamma;
+  u[n - 1] = alpha;
+  const z = solveTridiagonal(lower, modifiedDiagonal, upper, u);
+
+  const factor = (x[0] + ((beta * x[n - 1]) / gamma)) / (1 + z[0] + ((beta * z[n - 1]) / gamma));
+  for (let i = 0; i < n; i++) {
+    x[i] -= factor * z[i];
+  }
+  return x;
+}
+
+function solveTridiagonal(lower, diagonal, upper, rhs) {
+  const n = diagonal.length;
+  const c = new Float64Array(n);
+  const d = new Float64Array(n);
+  c[0] = upper[0] / diagonal[0];
+  d[0] = rhs[0] / diagonal[0];
+  for (let i = 1; i < n; i++) {
+    const denominator = diagonal[i] - (lower[i] * c[i - 1]);
+    c[i] = upper[i] / denominator;
+    d[i] = (rhs[i] - (lower[i] * d[i - 1])) / denominator;
+  }
+  const x = new Float64Array(n);
+  x[n - 1] = d[n - 1];
+  for (let i = n - 2; i >= 0; i--) {
+    x[i] = d[i] - (c[i] * x[i + 1]);
+  }
+  return x;
+}
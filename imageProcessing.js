@@ -1,7 +1,17 @@
 // Image processing:
 // - cleans the captured frame so the waveform line is easier to pick out
-// - keeps the image the same size for the next step
+// - can pick the trace out by its colour instead of its darkness
+// - handles dark ink on paper and bright traces on dark scope screens
+// - can keep several traces (e.g. two scope channels) as separate masks
+// - removes oscilloscope graticules and graph-paper grids, and reports their spacing
+// - turns the cleaned image into a mask with a selectable threshold (percentile, Otsu, Sauvola, Niblack or hysteresis)
+// - straightens tilted traces before extraction
+// - returns trace masks at the crop's own resolution, with the line strength kept as the mask level
+// - takes config overrides for its tuning values, at creation or later through setConfig
+// - in debug mode, keeps a snapshot after each stage and the score terms of every candidate component
+// - reports each kept trace's score margin and stroke thickness for the capture quality report
 export function createImageProcessor({
+  config: initialConfig = {},
 } = {}) {
 
   const defaultConfig = {
@@ -11,10 +21,22 @@ export function createImageProcessor({
     flattenBias: 118, // Brightness added back after flattening so the line stays visible.
     flattenGain: 1.5, // Extra emphasis for dark line contrast after lighting removal.
 
+    // Trace polarity
+    polarityTailPercentile: 0.5, // Darkest and brightest share of the ROI compared when guessing polarity.
+
     // Contrast stretching
     contrastLowPercentile: 2, // Dark end used when stretching contrast.
     contrastHighPercentile: 98, // Bright end used when stretching contrast.
 
+    // Thresholding
+    thresholdMethod: 'percentile', // 'percentile' (only the contrast-stretched top end), 'otsu', 'sauvola', 'niblack' or 'hysteresis'.
+    thresholdMinContrast: 3, // Otsu, the local methods and the weak hysteresis cut never keep pixels less than this far above the flattened background.
+    thresholdWindowRadius: 15, // Half-size of the Sauvola and Niblack window.
+    thresholdSauvolaK: 0.2, // Sauvola sensitivity: larger values need a stronger stroke.
+    thresholdNiblackK: 1.5, // Niblack cut in standard deviations above the local mean.
+    thresholdHysteresisHighPercentile: 99.5, // Strong hysteresis cut: only the clearest trace pixels seed the mask.
+    thresholdHysteresisLowRatio: 0.2, // Weak hysteresis cut as a share of the strong cut's height above the background.
+
     // Component scoring
     minComponentSizePixels: 50, // Small blobs below this size are discarded.
     componentEdgeMarginPx: 4, // Edge band used to penalize border-hugging components.
@@ -22,10 +44,61 @@ export function createImageProcessor({
     componentExcursionGamma: 1.6, // Makes low-excursion regions earn less reward until their bend is clearer.
     componentWidthScoreExponent: 0.72, // Compresses width advantage so long horizontal clutter does not dominate as easily.
     componentBorderPenaltyWeight: 1.5, // Amplifies the penalty for components that lean on the image border.
+    brightTraceMaxThicknessRatio: 0.08, // On bright-on-dark screens, thicker blobs (glare, a lit bezel) score lower.
+    extraTraceMinScoreRatio: 0.25, // Extra traces must score at least this share of the best one.
+    extraTraceContrastFloor: 0.25, // Multi-trace foreground cut stays at least this share of the way from background to the single-trace cut.
+
+    // Deskew
+    deskewMaxAngleDeg: 15, // Larger detected tilts are treated as part of the drawing, not camera tilt.
+    deskewAngleStepDeg: 0.25, // Resolution of the axis-line angle search.
+    deskewAxisMinCoverage: 0.6, // A straight line must span this fraction of the ROI width to count as an axis.
+    deskewEdgeSampleRatio: 0.05, // Share of columns at each end used to measure the trace baseline.
+    deskewMinAngleDeg: 1, // Smaller automatic estimates are treated as noise and not corrected.
+
+    // Grid removal
+    gridLineLevel: 0.35, // Share of the way from background to trace darkness that counts as line ink.
+    gridLineMinCoverage: 0.4, // A row or column with this much ink along its whole length is a grid line candidate.
+    gridLineMaxThicknessRatio: 0.03, // Thicker bands are treated as drawing, not grid lines.
+    gridMinLineCount: 3, // Fewer evenly spaced lines than this is not a grid.
+    gridSpacingTolerance: 0.2, // Allowed deviation of each gap from a whole number of divisions.
+
+    // Colour key
+    colorKeyMaxDistance: 45, // CIELAB distance from the key colour at which a pixel is plain background.
+    colorKeyLightnessWeight: 0.5, // Shading along a pen stroke matters less than a change of hue.
+  };
+
+  // Tuning values in use: the defaults above with the caller's overrides on top.
+  let config = { ...defaultConfig, ...initialConfig };
+
+  // Grid lines must show ink in every one of this many stretches along their length.
+  const GRID_LINE_SEGMENTS = 4;
+  // sRGB gamma removed once per channel value for the colour-key conversion.
+  const SRGB_TO_LINEAR = Float32Array.from({ length: 256 }, (_, value) => {
+    const c = value / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+
+  // Debug stage label for each threshold method.
+  const THRESHOLD_STAGE_LABELS = {
+    percentile: 'Contrast stretch',
+    otsu: 'Otsu threshold',
+    sauvola: 'Sauvola threshold',
+    niblack: 'Niblack threshold',
+    hysteresis: 'Hysteresis threshold',
   };
 
+  const NO_GRID = { detected: false, columnSpacingPx: null, rowSpacingPx: null, columnSpacingRatio: null, rowSpacingRatio: null };
+
+  // Details from the most recent preprocessImage call, read back by the UI.
+  let lastRunInfo = { deskewAngleDeg: 0, deskewSource: 'none', grid: NO_GRID, polarity: 'dark', polaritySource: 'auto', traceCount: 0, traceQuality: [] };
+
+  // Stage snapshots and component scores from the most recent run with options.debug, or null.
+  let lastDebugRun = null;
+
   // Reuse working buffers so each frame does not keep allocating new arrays.
   let bufferA = null, bufferB = null, bufferC = null, lastWidth = 0, lastHeight = 0;
+  // Line response after flattening and grid removal, kept for the output mask levels.
+  let responseBuffer = null;
 
   // Create buffers when the image size changes.
   function initBuffers(width, height, byteCount) {
@@ -33,46 +106,226 @@ export function createImageProcessor({
       bufferA = new Uint8ClampedArray(byteCount);
       bufferB = new Uint8ClampedArray(byteCount);
       bufferC = new Uint8ClampedArray(byteCount);
+      responseBuffer = new Uint8ClampedArray(byteCount);
       lastWidth = width;
       lastHeight = height;
     }
   }
 
-  // Run the full cleanup pipeline.
-  function preprocessImage(imageData, roi) {
+  // Run the full cleanup pipeline and return the mask of the best trace.
+  // Masks have the size of the cropped (or perspective-corrected) ROI. Trace pixels are 128–255,
+  // brighter where the line stands out more, and everything else is 0.
+  // options.deskewAngleDeg overrides the automatic tilt estimate when it is a finite number.
+  // options.deskewFromTrace: true also levels the trace by its end points when no axis line is found;
+  // only right when the trace starts and ends at the same level (whole cycles).
+  // options.removeGrid: false keeps grid lines in the mask.
+  // options.colorKey ({ r, g, b }) selects the trace by closeness to that colour instead of darkness.
+  // options.polarity is 'dark' (ink on paper), 'bright' (glowing trace on a dark screen) or 'auto'.
+  // options.debug: true records stage snapshots for getLastDebugRun; runs without it leave the last record alone.
+  function preprocessImage(imageData, roi, options = {}) {
+    const traces = preprocessImageTraces(imageData, roi, { ...options, traceCount: 1 });
+    return traces ? traces[0] : null;
+  }
+
+  // Same pipeline, but keep the options.traceCount best components as separate masks,
+  // ordered top to bottom so channel numbering stays stable from frame to frame.
+  function preprocessImageTraces(imageData, roi, options = {}) {
     if (!imageData) return null;
 
-    const originalWidth = imageData.width;
-    const originalHeight = imageData.height;
     imageData = cropImageDataToROI(imageData, roi);
 
     const { data, width, height } = imageData;
     const byteCount = data.length;
     initBuffers(width, height, byteCount);
+    const debugRun = options.debug ? { width, height, stages: [], components: [], smallComponentCount: 0 } : null;
 
     // Move through the cleanup steps using the same two buffers.
-    rgbaToGrayscale(data, bufferB);
+    // In colour-key mode, pixels near the key colour become dark, so the rest of the
+    // pipeline treats them exactly like pen ink on paper.
+    if (options.colorKey) {
+      colorDistanceToGrayscale(data, bufferB, options.colorKey);
+    } else {
+      rgbaToGrayscale(data, bufferB);
+    }
+    recordStage(debugRun, 'grayscale', options.colorKey ? 'Colour distance' : 'Grayscale', bufferB);
+
+    // The colour-distance image always has a dark trace; otherwise honour the setting or guess.
+    const polarity = options.colorKey
+      ? { value: 'dark', source: 'color-key' }
+      : options.polarity === 'dark' || options.polarity === 'bright'
+        ? { value: options.polarity, source: 'manual' }
+        : { value: detectTracePolarity(bufferB), source: 'auto' };
+
     denoiseImage(width, height, bufferB, bufferA);
-    flattenIllumination(width, height, bufferA, bufferB);
-    enhanceContrast(bufferB, bufferA);
+    recordStage(debugRun, 'denoise', 'Denoise', bufferA);
+    // From here on the trace is bright in both polarities: flattening outputs line response.
+    flattenIllumination(width, height, bufferA, bufferB, polarity.value);
+    recordStage(debugRun, 'flatten', 'Flatten lighting', bufferB);
+
+    // Grid lines are long and connected, so they must go before the contrast stretch spends
+    // its few foreground pixels on them and before component scoring.
+    const grid = options.removeGrid === false ? NO_GRID : removeGridLines(width, height, bufferB);
+    if (grid.detected) recordStage(debugRun, 'grid', 'Remove grid', bufferB);
+    responseBuffer.set(bufferB);
+
+    // Each extra trace needs its own share of the pixels that end up as foreground.
+    const traceCount = Math.max(1, Math.floor(options.traceCount) || 1);
+    const thresholdMethod = Object.hasOwn(THRESHOLD_STAGE_LABELS, config.thresholdMethod) ? config.thresholdMethod : 'percentile';
+    if (thresholdMethod === 'percentile') {
+      enhanceContrast(bufferB, bufferA, traceCount);
+    } else {
+      thresholdImage(width, height, bufferB, bufferA, thresholdMethod, traceCount);
+    }
+    recordStage(debugRun, thresholdMethod === 'percentile' ? 'contrast' : 'threshold', THRESHOLD_STAGE_LABELS[thresholdMethod], bufferA);
 
     // Join short horizontal breaks in the line.
     horizontalClose(width, height, bufferA, bufferB, 2);
+    recordStage(debugRun, 'close', 'Close gaps', bufferB);
 
-    // Keep only the connected region most likely to be the waveform trace.
-    filterByConnectedComponents(width, height, bufferB, defaultConfig.minComponentSizePixels);
+    // A drawn axis line is easiest to find before component filtering discards it.
+    const manualAngleDeg = Number.isFinite(options.deskewAngleDeg) ? options.deskewAngleDeg : null;
+    const axisAngleDeg = manualAngleDeg === null ? estimateAxisLineAngle(width, height, bufferB) : null;
 
-    // Build the processed image output — upscale the grayscale buffer first.
-    const result = restoreImageDataToFullSize(bufferB, originalWidth, originalHeight, roi);
+    // Keep only the connected region most likely to be the waveform trace; remember the runners-up.
+    const { labels, components, candidates, smallComponentCount } = filterByConnectedComponents(
+      width,
+      height,
+      bufferB,
+      config.minComponentSizePixels,
+      polarity.value,
+      traceCount,
+    );
+    if (debugRun) {
+      recordComponentStage(debugRun, labels, components, candidates);
+      debugRun.smallComponentCount = smallComponentCount;
+    }
 
-    // Convert the processed image to strict black and white.
-    applyBinaryMask(result.data);
+    // Level the trace so a tilted photo does not add a ramp and a loop-point jump.
+    // A drawing that ends at another level than it starts (a ramp, 2.25 cycles) would read as tilt
+    // by its end points, so those are only used when asked for.
+    let deskew = { angleDeg: 0, source: 'none' };
+    if (manualAngleDeg !== null) {
+      deskew = { angleDeg: manualAngleDeg, source: 'manual' };
+    } else if (axisAngleDeg !== null) {
+      deskew = { angleDeg: axisAngleDeg, source: 'axis' };
+    } else if (options.deskewFromTrace) {
+      deskew = estimateTraceBaselineAngle(width, height, bufferB);
+    }
+    const applyDeskew = deskew.source === 'manual'
+      ? deskew.angleDeg !== 0
+      : Math.abs(deskew.angleDeg) >= config.deskewMinAngleDeg;
 
-    return result;
+    // The line response is turned the same way, so mask levels line up with the rotated masks.
+    if (applyDeskew) {
+      rotateMask(width, height, responseBuffer, bufferC, deskew.angleDeg, false);
+      responseBuffer.set(bufferC);
+    }
+    const responseBackground = getPercentileFromHistogram(buildHistogram(responseBuffer), 50, width * height);
+
+    // Every trace shares the tilt measured from the best one: it comes from the camera, not the drawing.
+    const traceComponents = components.length > 0
+      ? components.slice().sort((a, b) => a.centerY - b.centerY)
+      : [null];
+    const traceLabels = traceComponents.map((component) => component?.label ?? null);
+    const results = traceLabels.map((traceLabel) => {
+      if (traceLabel !== null) {
+        writeComponentMask(labels, traceLabel, bufferB);
+      }
+      if (applyDeskew) {
+        rotateMask(width, height, bufferB, bufferA, deskew.angleDeg);
+        bufferB.set(bufferA);
+      }
+      return createTraceMask(width, height, bufferB, responseBackground);
+    });
+
+    // The angle reported is the one applied, so the preview overlay maps back the same way.
+    lastRunInfo = {
+      deskewAngleDeg: applyDeskew ? deskew.angleDeg : 0,
+      deskewSource: deskew.source,
+      grid,
+      polarity: polarity.value,
+      polaritySource: polarity.source,
+      traceCount: components.length,
+      traceQuality: measureTraceQuality(traceComponents, candidates[components.length], height),
+    };
+    if (debugRun) lastDebugRun = debugRun;
+
+    return results;
+  }
+
+  // Quality measures per trace, in the same top-to-bottom order as the masks; null when nothing was kept.
+  // scoreMargin compares the trace with the best component that was left out (null when there was none),
+  // and stroke thickness is the mean column thickness relative to the ROI height.
+  function measureTraceQuality(traceComponents, bestLeftOut, height) {
+    return traceComponents.map((component) => {
+      if (!component) return null;
+      const { meanColumnThickness } = component.terms;
+      return {
+        score: component.waveformScore,
+        scoreMargin: bestLeftOut ? component.waveformScore / Math.max(1e-6, bestLeftOut.waveformScore) : null,
+        strokeThicknessPx: meanColumnThickness,
+        strokeThicknessRatio: meanColumnThickness / Math.max(1, height),
+      };
+    });
+  }
+
+  // Copy a working buffer into the debug record. Does nothing outside debug mode.
+  function recordStage(debugRun, id, label, buffer) {
+    if (!debugRun) return;
+    const copy = Uint8ClampedArray.from(buffer);
+    for (let i = 3; i < copy.length; i += 4) copy[i] = 255;
+    debugRun.stages.push({ id, label, imageData: new ImageData(copy, debugRun.width, debugRun.height) });
+  }
+
+  // Component stage: kept traces white, scored runners-up gray, blobs below the size limit dark gray.
+  // Every scored candidate is listed best first, with its trace number when it was kept.
+  function recordComponentStage(debugRun, labels, components, candidates) {
+    const traceOrder = components.slice().sort((a, b) => a.centerY - b.centerY);
+    const levelByLabel = new Map(candidates.map((candidate) => [candidate.label, 110]));
+    components.forEach((component) => levelByLabel.set(component.label, 255));
+
+    const data = new Uint8ClampedArray(labels.length * 4);
+    for (let i = 0; i < labels.length; i++) {
+      const value = labels[i] ? (levelByLabel.get(labels[i]) ?? 50) : 0;
+      data[i * 4] = value;
+      data[i * 4 + 1] = value;
+      data[i * 4 + 2] = value;
+      data[i * 4 + 3] = 255;
+    }
+    debugRun.stages.push({ id: 'components', label: 'Component filter', imageData: new ImageData(data, debugRun.width, debugRun.height) });
+
+    debugRun.components = candidates.map(({ label, waveformScore, centerY, terms }, index) => {
+      const traceIndex = traceOrder.findIndex((component) => component.label === label);
+      return {
+        rank: index + 1,
+        label,
+        kept: traceIndex >= 0,
+        traceIndex: traceIndex >= 0 ? traceIndex : null,
+        centerY,
+        waveformScore,
+        ...terms,
+      };
+    });
+  }
+
+  // Draw a single labelled component as a white-on-black mask.
+  function writeComponentMask(labels, componentLabel, dstData) {
+    for (let i = 0; i < labels.length; i++) {
+      const value = labels[i] === componentLabel ? 255 : 0;
+      dstData[i * 4] = value;
+      dstData[i * 4 + 1] = value;
+      dstData[i * 4 + 2] = value;
+      dstData[i * 4 + 3] = 255;
+    }
   }
 
   // Crop the input ImageData to the given ROI, returning a new ImageData object with the cropped content.
+  // A four-corner ROI (roi.quad) is perspective-corrected into a rectangle instead.
   function cropImageDataToROI(imageData, roi) {
+    if (Array.isArray(roi.quad) && roi.quad.length === 4) {
+      return warpQuadToRectangle(imageData, roi.quad);
+    }
+
     const { x, y, width, height } = roi;
     const src = imageData.data;
     const cropped = new Uint8ClampedArray(width * height * 4);
@@ -86,42 +339,121 @@ export function createImageProcessor({
     return new ImageData(cropped, width, height);
   }
 
-  // Scale the processed ROI back up to the full frame size using bilinear interpolation.
-  function restoreImageDataToFullSize(data, originalImageWidth, originalImageHeight, roi) {
-    const { width: roiWidth, height: roiHeight } = roi;
-    const result = new ImageData(originalImageWidth, originalImageHeight);
+  // Undo keystone distortion: map a rectangle onto the quad with a homography and sample the source bilinearly.
+  // Quad corners are ordered top-left, top-right, bottom-right, bottom-left in source pixels.
+  function warpQuadToRectangle(imageData, quad) {
+    const edgeLength = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+    const width = Math.max(2, Math.round((edgeLength(quad[0], quad[1]) + edgeLength(quad[3], quad[2])) / 2));
+    const height = Math.max(2, Math.round((edgeLength(quad[0], quad[3]) + edgeLength(quad[1], quad[2])) / 2));
+    const rect = [
+      { x: 0, y: 0 },
+      { x: width - 1, y: 0 },
+      { x: width - 1, y: height - 1 },
+      { x: 0, y: height - 1 },
+    ];
+    const homography = computeHomography(rect, quad);
+    const src = imageData.data;
+    const srcWidth = imageData.width;
+    const srcHeight = imageData.height;
+    const warped = new Uint8ClampedArray(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const w = (homography[6] * x) + (homography[7] * y) + 1;
+        const srcX = Math.max(0, Math.min(srcWidth - 1, ((homography[0] * x) + (homography[1] * y) + homography[2]) / w));
+        const srcY = Math.max(0, Math.min(srcHeight - 1, ((homography[3] * x) + (homography[4] * y) + homography[5]) / w));
+        const x0 = Math.floor(srcX);
+        const y0 = Math.floor(srcY);
+        const x1 = Math.min(x0 + 1, srcWidth - 1);
+        const y1 = Math.min(y0 + 1, srcHeight - 1);
+        const tx = srcX - x0;
+        const ty = srcY - y0;
+        const i00 = (y0 * srcWidth + x0) * 4;
+        const i10 = (y0 * srcWidth + x1) * 4;
+        const i01 = (y1 * srcWidth + x0) * 4;
+        const i11 = (y1 * srcWidth + x1) * 4;
+        const dstIdx = (y * width + x) * 4;
+
+        for (let channel = 0; channel < 4; channel++) {
+          warped[dstIdx + channel] = Math.round(
+            (src[i00 + channel] * (1 - tx) * (1 - ty))
+          + (src[i10 + channel] * tx       * (1 - ty))
+          + (src[i01 + channel] * (1 - tx) * ty)
+          + (src[i11 + channel] * tx       * ty)
+          );
+        }
+      }
+    }
+
+    return new ImageData(warped, width, height);
+  }
+
+  // Solve for the 3x3 homography (h33 = 1) that maps each `from` point onto the matching `to` point.
+  function computeHomography(from, to) {
+    const matrix = [];
+    const rhs = [];
+    for (let i = 0; i < 4; i++) {
+      const { x, y } = from[i];
+      const { x: u, y: v } = to[i];
+      matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+      rhs.push(u);
+      matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+      rhs.push(v);
+    }
+    return solveLinearSystem(matrix, rhs);
+  }
 
-    for (let dstY = 0; dstY < originalImageHeight; dstY++) {
-      const srcYf = (dstY / (originalImageHeight - 1)) * (roiHeight - 1);
-      const srcY0 = Math.floor(srcYf);
-      const srcY1 = Math.min(srcY0 + 1, roiHeight - 1);
-      const ty    = srcYf - srcY0;
+  // Gaussian elimination with partial pivoting for the small homography system.
+  function solveLinearSystem(matrix, rhs) {
+    const n = rhs.length;
+    const a = matrix.map((row, i) => [...row, rhs[i]]);
 
-      for (let dstX = 0; dstX < originalImageWidth; dstX++) {
-        const srcXf = (dstX / (originalImageWidth - 1)) * (roiWidth - 1);
-        const srcX0 = Math.floor(srcXf);
-        const srcX1 = Math.min(srcX0 + 1, roiWidth - 1);
-        const tx    = srcXf - srcX0;
+    for (let col = 0; col < n; col++) {
+      let pivotRow = col;
+      for (let row = col + 1; row < n; row++) {
+        if (Math.abs(a[row][col]) > Math.abs(a[pivotRow][col])) pivotRow = row;
+      }
+      [a[col], a[pivotRow]] = [a[pivotRow], a[col]];
 
-        const i00 = (srcY0 * roiWidth + srcX0) * 4;
-        const i10 = (srcY0 * roiWidth + srcX1) * 4;
-        const i01 = (srcY1 * roiWidth + srcX0) * 4;
-        const i11 = (srcY1 * roiWidth + srcX1) * 4;
+      const pivot = a[col][col] || 1e-12;
+      for (let row = col + 1; row < n; row++) {
+        const factor = a[row][col] / pivot;
+        for (let k = col; k <= n; k++) {
+          a[row][k] -= factor * a[col][k];
+        }
+      }
+    }
 
-        const val = Math.round(
-          (data[i00] * (1 - tx) * (1 - ty))
-        + (data[i10] * tx       * (1 - ty))
-        + (data[i01] * (1 - tx) * ty)
-        + (data[i11] * tx       * ty)
-        );
-        const dstIdx = (dstY * originalImageWidth + dstX) * 4;
-        result.data[dstIdx]     = val;
-        result.data[dstIdx + 1] = val;
-        result.data[dstIdx + 2] = val;
-        result.data[dstIdx + 3] = 255;
+    const solution = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+      let sum = a[row][n];
+      for (let k = row + 1; k < n; k++) {
+        sum -= a[row][k] * solution[k];
       }
+      solution[row] = sum / (a[row][row] || 1e-12);
+    }
+    return solution;
+  }
+
+  // Trace mask at the crop size: 0 off the trace, and on it 128 plus the line response above the
+  // background, scaled so the strongest pixel of this trace reaches 255.
+  function createTraceMask(width, height, maskData, responseBackground) {
+    let peak = responseBackground + 1;
+    for (let i = 0; i < maskData.length; i += 4) {
+      if (maskData[i] >= 128 && responseBuffer[i] > peak) peak = responseBuffer[i];
     }
 
+    const result = new ImageData(width, height);
+    const scale = 127 / (peak - responseBackground);
+    for (let i = 0; i < maskData.length; i += 4) {
+      const value = maskData[i] >= 128
+        ? 128 + Math.round(Math.max(0, responseBuffer[i] - responseBackground) * scale)
+        : 0;
+      result.data[i] = value;
+      result.data[i + 1] = value;
+      result.data[i + 2] = value;
+      result.data[i + 3] = 255;
+    }
     return result;
   }
 
@@ -147,17 +479,6 @@ export function createImageProcessor({
     return 255;
   }
 
-  // Set each pixel to fully white or fully black based on a simple threshold.
-  function applyBinaryMask(data) {
-    for (let i = 0; i < data.length; i += 4) {
-      const value = data[i] === 255 ? 255 : 0;
-      data[i] = value;
-      data[i + 1] = value;
-      data[i + 2] = value;
-      data[i + 3] = 255;
-    }
-  }
-
   // Convert the image to grayscale.
   function rgbaToGrayscale(srcData, dstData) {
     for (let i = 0; i < srcData.length; i += 4) {
@@ -169,6 +490,57 @@ export function createImageProcessor({
     }
   }
 
+  // Map each pixel's perceptual (CIELAB) distance from the key colour to a gray level:
+  // the key colour itself is black, anything past colorKeyMaxDistance is white.
+  function colorDistanceToGrayscale(srcData, dstData, keyColor) {
+    const key = rgbToLab(keyColor.r, keyColor.g, keyColor.b, {});
+    const lab = { l: 0, a: 0, b: 0 };
+    const lightnessWeight = config.colorKeyLightnessWeight;
+    const scale = 255 / Math.max(1, config.colorKeyMaxDistance);
+
+    for (let i = 0; i < srcData.length; i += 4) {
+      rgbToLab(srcData[i], srcData[i + 1], srcData[i + 2], lab);
+      const dL = (lab.l - key.l) * lightnessWeight;
+      const da = lab.a - key.a;
+      const db = lab.b - key.b;
+      const gray = Math.min(255, Math.round(Math.sqrt((dL * dL) + (da * da) + (db * db)) * scale));
+      dstData[i] = gray;
+      dstData[i + 1] = gray;
+      dstData[i + 2] = gray;
+      dstData[i + 3] = 255;
+    }
+  }
+
+  // sRGB (0-255) to CIELAB with a D65 white point, written into out to avoid a per-pixel allocation.
+  function rgbToLab(r, g, b, out) {
+    const lr = SRGB_TO_LINEAR[r];
+    const lg = SRGB_TO_LINEAR[g];
+    const lb = SRGB_TO_LINEAR[b];
+    const x = labCurve(((0.4124 * lr) + (0.3576 * lg) + (0.1805 * lb)) / 0.95047);
+    const y = labCurve((0.2126 * lr) + (0.7152 * lg) + (0.0722 * lb));
+    const z = labCurve(((0.0193 * lr) + (0.1192 * lg) + (0.9505 * lb)) / 1.08883);
+    out.l = (116 * y) - 16;
+    out.a = 500 * (x - y);
+    out.b = 200 * (y - z);
+    return out;
+  }
+
+  function labCurve(value) {
+    return value > 0.008856 ? Math.cbrt(value) : (7.787 * value) + (16 / 116);
+  }
+
+  // Guess whether the trace is darker or brighter than its surroundings. The trace is a small
+  // part of the ROI, so whichever histogram tail lies further from the median belongs to it.
+  function detectTracePolarity(grayData) {
+    const histogram = buildHistogram(grayData);
+    const pixelCount = grayData.length / 4;
+    const tail = config.polarityTailPercentile;
+    const median = getPercentileFromHistogram(histogram, 50, pixelCount);
+    const darkTail = getPercentileFromHistogram(histogram, tail, pixelCount);
+    const brightTail = getPercentileFromHistogram(histogram, 100 - tail, pixelCount);
+    return brightTail - median > median - darkTail ? 'bright' : 'dark';
+  }
+
   // Blur away very small speckles.
   function denoiseImage(width, height, srcData, dstData) {
     for (let y = 0; y < height; y++) {
@@ -212,15 +584,17 @@ export function createImageProcessor({
   // Choose a kernel radius for the lighting flattening step based on the image size, with some minimum and scaling.
   function getEffectiveFlattenRadius(width, height) {
     const minDimension = Math.max(1, Math.min(width, height));
-    const ratioRadius = Math.round(minDimension * defaultConfig.flattenKernelRadiusRatio);
-    return Math.max(1, Math.max(Math.floor(defaultConfig.flattenKernelRadius), ratioRadius));
+    const ratioRadius = Math.round(minDimension * config.flattenKernelRadiusRatio);
+    return Math.max(1, Math.max(Math.floor(config.flattenKernelRadius), ratioRadius));
   }
 
   // Reduce uneven lighting across the image.
-  function flattenIllumination(width, height, srcData, dstData) {
+  // polarity 'bright' measures how far a pixel rises above its background instead of how far it falls below.
+  function flattenIllumination(width, height, srcData, dstData, polarity = 'dark') {
+    const lineSign = polarity === 'bright' ? -1 : 1;
     const radius = getEffectiveFlattenRadius(width, height);
-    const bias = Number.isFinite(defaultConfig.flattenBias) ? defaultConfig.flattenBias : 128;
-    const gain = Number.isFinite(defaultConfig.flattenGain) ? defaultConfig.flattenGain : 1;
+    const bias = Number.isFinite(config.flattenBias) ? config.flattenBias : 128;
+    const gain = Number.isFinite(config.flattenGain) ? config.flattenGain : 1;
 
     // Horizontal pass (use pooled bufferC as intermediate)
     horizontalBlur(width, height, srcData, bufferC, radius);
@@ -237,8 +611,8 @@ export function createImageProcessor({
         const idx = (y * width + x) * 4;
         const sourceValue = srcData[idx];
         const backgroundValue = Math.round(sum / count);
-        const darkResponse = Math.max(0, backgroundValue - sourceValue);
-        const flattened = Math.max(0, Math.min(255, Math.round((darkResponse * gain) + bias)));
+        const lineResponse = Math.max(0, (backgroundValue - sourceValue) * lineSign);
+        const flattened = Math.max(0, Math.min(255, Math.round((lineResponse * gain) + bias)));
         dstData[idx] = flattened;
         dstData[idx + 1] = flattened;
         dstData[idx + 2] = flattened;
@@ -248,11 +622,13 @@ export function createImageProcessor({
   }
 
   // Spread out the brightness range so the line stands out more.
-  function enhanceContrast(srcData, dstData) {
+  // Only values at or above the high percentile reach full white, so traceCount widens that share.
+  // The wider cut is floored so that asking for more traces than exist does not turn noise white.
+  function enhanceContrast(srcData, dstData, traceCount = 1) {
     const histogram = buildHistogram(srcData);
     const pixelCount = srcData.length / 4;
-    const minValue = getPercentileFromHistogram(histogram, defaultConfig.contrastLowPercentile, pixelCount);
-    const maxValue = getPercentileFromHistogram(histogram, defaultConfig.contrastHighPercentile, pixelCount);
+    const minValue = getPercentileFromHistogram(histogram, config.contrastLowPercentile, pixelCount);
+    const maxValue = getContrastHighValue(histogram, pixelCount, traceCount, config.contrastHighPercentile);
     const range = maxValue - minValue;
 
     if (range < 1) {
@@ -269,6 +645,170 @@ export function createImageProcessor({
     }
   }
 
+  // Gray level at a high percentile, widened for extra traces as described above.
+  function getContrastHighValue(histogram, pixelCount, traceCount, percentile) {
+    const maxValue = getPercentileFromHistogram(histogram, percentile, pixelCount);
+    if (traceCount <= 1) return maxValue;
+    const highPercentile = Math.max(50, 100 - ((100 - percentile) * traceCount));
+    const median = getPercentileFromHistogram(histogram, 50, pixelCount);
+    const floor = median + ((maxValue - median) * config.extraTraceContrastFloor);
+    return Math.max(getPercentileFromHistogram(histogram, highPercentile, pixelCount), Math.round(floor));
+  }
+
+  // Turn the flattened line response into a 0/255 mask with the chosen method.
+  // Flattening leaves plain background at one level (the median) with the trace rising above it, so
+  // the methods work on the rise above that level, stretched so the strongest trace pixels reach 255.
+  // otsu: one global cut that best separates the pixels above the background into two groups
+  // sauvola / niblack: a cut from the mean and spread of a window around each pixel, so a stroke
+  //   only has to stand out from its own surroundings
+  // hysteresis: pixels past a strong cut seed the trace, which then grows through pixels past a weak cut,
+  //   so a faint stretch is kept only where it continues a clear one
+  function thresholdImage(width, height, srcData, dstData, method, traceCount) {
+    const histogram = buildHistogram(srcData);
+    const pixelCount = srcData.length / 4;
+    const background = getPercentileFromHistogram(histogram, 50, pixelCount);
+    const minLevel = background + Math.max(1, config.thresholdMinContrast);
+
+    if (method === 'hysteresis') {
+      const strongCut = Math.max(minLevel, getContrastHighValue(histogram, pixelCount, traceCount, config.thresholdHysteresisHighPercentile));
+      const weakCut = Math.max(minLevel, background + ((strongCut - background) * config.thresholdHysteresisLowRatio));
+      writeHysteresisMask(width, height, srcData, dstData, strongCut, weakCut);
+      return;
+    }
+
+    const top = Math.max(minLevel, getPercentileFromHistogram(histogram, 99.9, pixelCount));
+    const rise = new Uint8ClampedArray(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+      rise[i] = Math.round(((srcData[i * 4] - background) * 255) / (top - background));
+    }
+
+    let foreground;
+    if (method === 'otsu') {
+      const riseHistogram = new Uint32Array(256);
+      for (let i = 0; i < pixelCount; i++) riseHistogram[rise[i]]++;
+      const cut = findOtsuThreshold(riseHistogram, 1);
+      foreground = (value) => value > cut;
+    } else {
+      const local = getLocalMeanAndDeviation(width, height, rise, Math.max(1, Math.round(config.thresholdWindowRadius)));
+      foreground = method === 'sauvola'
+        // Sauvola is defined for dark ink, so it runs on inverted levels: 255 - value < (255 - mean)(1 + k(s / 128 - 1)).
+        ? (value, i) => 255 - value < (255 - local.mean[i]) * (1 + (config.thresholdSauvolaK * ((local.deviation[i] / 128) - 1)))
+        : (value, i) => value > local.mean[i] + (config.thresholdNiblackK * local.deviation[i]);
+    }
+
+    for (let i = 0; i < pixelCount; i++) {
+      const out = srcData[i * 4] >= minLevel && foreground(rise[i], i) ? 255 : 0;
+      dstData[i * 4] = out;
+      dstData[i * 4 + 1] = out;
+      dstData[i * 4 + 2] = out;
+      dstData[i * 4 + 3] = 255;
+    }
+  }
+
+  // Otsu's method over the histogram from startLevel up: the level that maximises the
+  // between-class variance of the pixels at or below it and those above it.
+  function findOtsuThreshold(histogram, startLevel) {
+    let total = 0;
+    let sum = 0;
+    for (let level = startLevel; level < 256; level++) {
+      total += histogram[level];
+      sum += level * histogram[level];
+    }
+    if (total === 0) return 255;
+
+    let bestLevel = startLevel;
+    let bestVariance = -1;
+    let lowCount = 0;
+    let lowSum = 0;
+    for (let level = startLevel; level < 255; level++) {
+      lowCount += histogram[level];
+      lowSum += level * histogram[level];
+      const highCount = total - lowCount;
+      if (lowCount === 0 || highCount === 0) continue;
+      const meanDifference = (lowSum / lowCount) - ((sum - lowSum) / highCount);
+      const variance = lowCount * highCount * meanDifference * meanDifference;
+      if (variance > bestVariance) {
+        bestVariance = variance;
+        bestLevel = level;
+      }
+    }
+    return bestLevel;
+  }
+
+  // Mean and standard deviation of the window around every pixel of a one-level-per-pixel array,
+  // from summed-area tables.
+  function getLocalMeanAndDeviation(width, height, levels, radius) {
+    const stride = width + 1;
+    const sums = new Float64Array(stride * (height + 1));
+    const squares = new Float64Array(stride * (height + 1));
+    for (let y = 0; y < height; y++) {
+      let rowSum = 0;
+      let rowSquares = 0;
+      for (let x = 0; x < width; x++) {
+        const value = levels[y * width + x];
+        rowSum += value;
+        rowSquares += value * value;
+        sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + rowSum;
+        squares[(y + 1) * stride + x + 1] = squares[y * stride + x + 1] + rowSquares;
+      }
+    }
+
+    const mean = new Float32Array(width * height);
+    const deviation = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+      const y0 = Math.max(0, y - radius);
+      const y1 = Math.min(height, y + radius + 1);
+      for (let x = 0; x < width; x++) {
+        const x0 = Math.max(0, x - radius);
+        const x1 = Math.min(width, x + radius + 1);
+        const count = (x1 - x0) * (y1 - y0);
+        const areaSum = sums[y1 * stride + x1] - sums[y0 * stride + x1] - sums[y1 * stride + x0] + sums[y0 * stride + x0];
+        const areaSquares = squares[y1 * stride + x1] - squares[y0 * stride + x1] - squares[y1 * stride + x0] + squares[y0 * stride + x0];
+        const areaMean = areaSum / count;
+        mean[y * width + x] = areaMean;
+        deviation[y * width + x] = Math.sqrt(Math.max(0, (areaSquares / count) - (areaMean * areaMean)));
+      }
+    }
+    return { mean, deviation };
+  }
+
+  // Grow the trace from the strong pixels through 8-connected weak ones.
+  function writeHysteresisMask(width, height, srcData, dstData, strongCut, weakCut) {
+    const pixelCount = width * height;
+    const kept = new Uint8Array(pixelCount);
+    const stack = [];
+    for (let i = 0; i < pixelCount; i++) {
+      if (srcData[i * 4] >= strongCut) {
+        kept[i] = 1;
+        stack.push(i);
+      }
+    }
+
+    while (stack.length > 0) {
+      const idx = stack.pop();
+      const x = idx % width, y = Math.floor(idx / width);
+      const x0 = Math.max(0, x - 1), x1 = Math.min(width - 1, x + 1);
+      const y0 = Math.max(0, y - 1), y1 = Math.min(height - 1, y + 1);
+      for (let yy = y0; yy <= y1; yy++) {
+        for (let xx = x0; xx <= x1; xx++) {
+          const nIdx = yy * width + xx;
+          if (!kept[nIdx] && srcData[nIdx * 4] >= weakCut) {
+            kept[nIdx] = 1;
+            stack.push(nIdx);
+          }
+        }
+      }
+    }
+
+    for (let i = 0; i < pixelCount; i++) {
+      const out = kept[i] ? 255 : 0;
+      dstData[i * 4] = out;
+      dstData[i * 4 + 1] = out;
+      dstData[i * 4 + 2] = out;
+      dstData[i * 4 + 3] = 255;
+    }
+  }
+
   // Fill short horizontal gaps in the line.
   function horizontalClose(width, height, srcData, dstData, radius) {
     // Spread bright pixels left and right (use pooled bufferC as intermediate).
@@ -303,8 +843,298 @@ export function createImageProcessor({
     }
   }
 
+  // Find the tilt of a long straight line (such as a drawn zero axis) with a projection profile.
+  // Returns the angle in degrees (clockwise in image coordinates) or null when no line is strong enough.
+  function estimateAxisLineAngle(width, height, data) {
+    const maxAngle = config.deskewMaxAngleDeg;
+    const step = Math.max(0.01, config.deskewAngleStepDeg);
+    const binCount = width + height;
+    const bins = new Uint32Array(binCount * 2);
+    let bestAngle = 0;
+    let bestPeak = 0;
+
+    // Every angle projects the same pixels, so the foreground is listed once instead of
+    // scanning the whole image per angle.
+    let foregroundCount = 0;
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i] === 255) foregroundCount++;
+    }
+    if (foregroundCount < width * config.deskewAxisMinCoverage) return null;
+    const xs = new Int32Array(foregroundCount);
+    const ys = new Int32Array(foregroundCount);
+    for (let y = 0, n = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[(y * width + x) * 4] !== 255) continue;
+        xs[n] = x;
+        ys[n] = y;
+        n++;
+      }
+    }
+
+    for (let angleDeg = -maxAngle; angleDeg <= maxAngle + 1e-9; angleDeg += step) {
+      const angle = (angleDeg * Math.PI) / 180;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      bins.fill(0);
+      let peak = 0;
+
+      for (let n = 0; n < foregroundCount; n++) {
+        // Row index the pixel would land on after rotating the line level.
+        const bin = Math.round((ys[n] * cos) - (xs[n] * sin)) + binCount;
+        const count = ++bins[bin];
+        if (count > peak) peak = count;
+      }
+
+      if (peak > bestPeak) {
+        bestPeak = peak;
+        bestAngle = angleDeg;
+      }
+    }
+
+    return bestPeak >= width * config.deskewAxisMinCoverage ? bestAngle : null;
+  }
+
+  // Find evenly spaced full-length rows and columns (a graticule or graph paper) in the flattened
+  // image and paint them over with the background on either side. Both directions must be found:
+  // a trace can line up in one direction (square wave edges), but not as a full grid.
+  // Returns the grid spacing in ROI pixels and as a fraction of the ROI size, per axis.
+  function removeGridLines(width, height, data) {
+    const histogram = buildHistogram(data);
+    const pixelCount = width * height;
+    const backgroundLevel = getPercentileFromHistogram(histogram, 50, pixelCount);
+    const inkLevel = getPercentileFromHistogram(histogram, 99.5, pixelCount);
+    if (inkLevel - backgroundLevel < 8) return NO_GRID;
+    const lineLevel = backgroundLevel + ((inkLevel - backgroundLevel) * config.gridLineLevel);
+
+    // Ink counts per row and column, split into stretches along the line.
+    const rowCounts = new Uint32Array(height * GRID_LINE_SEGMENTS);
+    const columnCounts = new Uint32Array(width * GRID_LINE_SEGMENTS);
+    for (let y = 0; y < height; y++) {
+      const columnSegment = Math.floor((y * GRID_LINE_SEGMENTS) / height);
+      for (let x = 0; x < width; x++) {
+        if (data[(y * width + x) * 4] <= lineLevel) continue;
+        rowCounts[(y * GRID_LINE_SEGMENTS) + Math.floor((x * GRID_LINE_SEGMENTS) / width)]++;
+        columnCounts[(x * GRID_LINE_SEGMENTS) + columnSegment]++;
+      }
+    }
+
+    const rowLines = findGridLines(getWeakestSegmentCounts(rowCounts, height), width, height);
+    const columnLines = rowLines ? findGridLines(getWeakestSegmentCounts(columnCounts, width), height, width) : null;
+    if (!rowLines || !columnLines) return NO_GRID;
+
+    // Blend across each band from the pixels just outside it. Where the trace crosses the
+    // line those pixels are ink too, so the crossing survives. A steep crossing only has ink on
+    // one side of the band in each row, so ink on either side fills the whole row.
+    const setValue = (x, y, value) => {
+      const idx = (y * width + x) * 4;
+      data[idx] = data[idx + 1] = data[idx + 2] = value;
+    };
+    const fillBand = (start, end, length, readOutside, write) => {
+      const before = start > 0 ? start - 1 : end + 1;
+      const after = end + 1 < length ? end + 1 : before;
+      const span = after - before;
+      const beforeValue = readOutside(before);
+      const afterValue = readOutside(after);
+      const strongest = Math.max(beforeValue, afterValue);
+      for (let i = start; i <= end; i++) {
+        const t = span !== 0 ? (i - before) / span : 0;
+        write(i, strongest > lineLevel ? strongest : Math.round((beforeValue * (1 - t)) + (afterValue * t)));
+      }
+    };
+
+    rowLines.lines.forEach(({ start, end }) => {
+      for (let x = 0; x < width; x++) {
+        fillBand(start, end, height, (y) => data[(y * width + x) * 4], (y, value) => setValue(x, y, value));
+      }
+    });
+    columnLines.lines.forEach(({ start, end }) => {
+      for (let y = 0; y < height; y++) {
+        fillBand(start, end, width, (x) => data[(y * width + x) * 4], (x, value) => setValue(x, y, value));
+      }
+    });
+
+    return {
+      detected: true,
+      columnSpacingPx: columnLines.spacing,
+      rowSpacingPx: rowLines.spacing,
+      columnSpacingRatio: columnLines.spacing / width,
+      rowSpacingRatio: rowLines.spacing / height,
+    };
+  }
+
+  // Scale each line's sparsest stretch up to a full-length count, so a line only scores
+  // as high as its emptiest part.
+  function getWeakestSegmentCounts(segmentCounts, lineCount) {
+    const counts = new Float32Array(lineCount);
+    for (let i = 0; i < lineCount; i++) {
+      let weakest = Infinity;
+      for (let segment = 0; segment < GRID_LINE_SEGMENTS; segment++) {
+        weakest = Math.min(weakest, segmentCounts[(i * GRID_LINE_SEGMENTS) + segment]);
+      }
+      counts[i] = weakest * GRID_LINE_SEGMENTS;
+    }
+    return counts;
+  }
+
+  // Group high-coverage positions of a projection profile into thin lines and keep the ones
+  // that sit on an even spacing. Grid lines may be missing, and a flat stretch of trace can
+  // look like a line, so the spacing and phase that the most lines agree on win.
+  // Returns { lines, spacing } or null when the profile does not look like a grid.
+  function findGridLines(counts, lineLength, profileLength) {
+    const minCount = lineLength * config.gridLineMinCoverage;
+    const edgeCount = minCount / 2;
+    const maxThickness = Math.max(2, Math.round(profileLength * config.gridLineMaxThicknessRatio));
+    const candidates = [];
+
+    for (let i = 0; i < profileLength; i++) {
+      if (counts[i] < minCount) continue;
+      // Widen the band over the softer edges of the line.
+      let start = i;
+      let end = i;
+      while (end + 1 < profileLength && counts[end + 1] >= minCount) end++;
+      while (start > 0 && counts[start - 1] >= edgeCount) start--;
+      while (end + 1 < profileLength && counts[end + 1] >= edgeCount) end++;
+      if (end - start + 1 <= maxThickness) {
+        candidates.push({ start, end, center: (start + end) / 2 });
+      }
+      i = end;
+    }
+
+    if (candidates.length < config.gridMinLineCount) return null;
+
+    const tolerance = config.gridSpacingTolerance;
+    const isOnGrid = (center, anchor, spacing) => {
+      const divisions = (center - anchor) / spacing;
+      return Math.abs(divisions - Math.round(divisions)) <= tolerance;
+    };
+
+    // Try every gap between neighbouring candidates as the spacing and every candidate as the phase.
+    // On equal support the larger spacing wins, since half the true spacing also fits every line.
+    let best = null;
+    for (let g = 1; g < candidates.length; g++) {
+      const spacing = candidates[g].center - candidates[g - 1].center;
+      if (spacing < maxThickness * 2) continue;
+      for (const anchor of candidates) {
+        const lines = candidates.filter((line) => isOnGrid(line.center, anchor.center, spacing));
+        if (!best || lines.length > best.lines.length || (lines.length === best.lines.length && spacing > best.spacing)) {
+          best = { lines, spacing };
+        }
+      }
+    }
+
+    if (!best || best.lines.length < config.gridMinLineCount) return null;
+
+    // Average over the whole span for a steadier spacing than any single gap.
+    const { lines } = best;
+    const divisionCount = Math.round((lines[lines.length - 1].center - lines[0].center) / best.spacing);
+    return {
+      lines,
+      spacing: divisionCount > 0 ? (lines[lines.length - 1].center - lines[0].center) / divisionCount : best.spacing,
+    };
+  }
+
+  // Estimate tilt from the trace itself: one cycle should start and end at the same level,
+  // so the line between the median heights at each end gives the baseline angle.
+  function estimateTraceBaselineAngle(width, height, data) {
+    const none = { angleDeg: 0, source: 'none' };
+    const centers = new Float32Array(width);
+    let firstX = -1;
+    let lastX = -1;
+
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let count = 0;
+      for (let y = 0; y < height; y++) {
+        if (data[(y * width + x) * 4] === 255) {
+          sum += y;
+          count++;
+        }
+      }
+      centers[x] = count > 0 ? sum / count : NaN;
+      if (count > 0) {
+        if (firstX < 0) firstX = x;
+        lastX = x;
+      }
+    }
+
+    if (firstX < 0 || lastX - firstX < width * 0.5) return none;
+
+    // Fit a short line at each end and read it at the end column, so a steep
+    // start or finish does not bias the level the way a plain average would.
+    const sampleCount = Math.max(2, Math.round(width * config.deskewEdgeSampleRatio));
+    const fitLevelAt = (start, end, atX) => {
+      let n = 0, sumX = 0, sumY = 0, sumXX = 0, sumXY = 0;
+      for (let x = start; x <= end; x++) {
+        if (!Number.isFinite(centers[x])) continue;
+        n++;
+        sumX += x;
+        sumY += centers[x];
+        sumXX += x * x;
+        sumXY += x * centers[x];
+      }
+      if (n === 0) return NaN;
+      const denominator = (n * sumXX) - (sumX * sumX);
+      if (n < 2 || Math.abs(denominator) < 1e-9) return sumY / n;
+      const slope = ((n * sumXY) - (sumX * sumY)) / denominator;
+      return (sumY - (slope * sumX)) / n + (slope * atX);
+    };
+    const startY = fitLevelAt(firstX, Math.min(lastX, firstX + sampleCount - 1), firstX);
+    const endY = fitLevelAt(Math.max(firstX, lastX - sampleCount + 1), lastX, lastX);
+    if (!Number.isFinite(startY) || !Number.isFinite(endY)) return none;
+
+    const angleDeg = (Math.atan2(endY - startY, lastX - firstX) * 180) / Math.PI;
+    if (Math.abs(angleDeg) > config.deskewMaxAngleDeg) return none;
+    return { angleDeg, source: 'trace' };
+  }
+
+  // Rotate the mask about its centre so a line tilted by angleDeg becomes horizontal.
+  // Pixels rotated in from outside the frame are background. binarize: false keeps the
+  // interpolated levels, for rotating a grayscale image.
+  function rotateMask(width, height, srcData, dstData, angleDeg, binarize = true) {
+    const angle = (angleDeg * Math.PI) / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const cx = (width - 1) / 2;
+    const cy = (height - 1) / 2;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const dx = x - cx;
+        const dy = y - cy;
+        const srcX = cx + (dx * cos) - (dy * sin);
+        const srcY = cy + (dx * sin) + (dy * cos);
+        let value = 0;
+
+        if (srcX >= 0 && srcY >= 0 && srcX <= width - 1 && srcY <= height - 1) {
+          const x0 = Math.floor(srcX);
+          const y0 = Math.floor(srcY);
+          const x1 = Math.min(x0 + 1, width - 1);
+          const y1 = Math.min(y0 + 1, height - 1);
+          const tx = srcX - x0;
+          const ty = srcY - y0;
+          const interpolated = (srcData[(y0 * width + x0) * 4] * (1 - tx) * (1 - ty))
+            + (srcData[(y0 * width + x1) * 4] * tx * (1 - ty))
+            + (srcData[(y1 * width + x0) * 4] * (1 - tx) * ty)
+            + (srcData[(y1 * width + x1) * 4] * tx * ty);
+          value = binarize ? (interpolated >= 128 ? 255 : 0) : Math.round(interpolated);
+        }
+
+        const idx = (y * width + x) * 4;
+        dstData[idx] = value;
+        dstData[idx + 1] = value;
+        dstData[idx + 2] = value;
+        dstData[idx + 3] = 255;
+      }
+    }
+  }
+
   // Keep only the connected region most likely to be the waveform trace.
-  function filterByConnectedComponents(width, height, data, minSizePixels) {
+  // Bright-on-dark captures also penalize thick components: glare and lit screen edges are
+  // solid blobs, while a trace is thin in every column.
+  // Returns the label map and the keepCount best components ({ label, waveformScore, centerY }), best first.
+  // candidates lists every component that was scored, best first, with the terms behind its score;
+  // smallComponentCount counts the blobs dropped for being under minSizePixels.
+  function filterByConnectedComponents(width, height, data, minSizePixels, polarity = 'dark', keepCount = 1) {
     const n = (data.length / 4);
     const label = new Int32Array(n);
     let nextLabel = 1;
@@ -354,6 +1184,7 @@ export function createImageProcessor({
 
     // Find all connected bright regions.
     const components = [];
+    let smallComponentCount = 0;
     for (let i = 0; i < n; i++) {
       if (!label[i] && data[(i) * 4] === 255) {
         const component = floodFill(i);
@@ -379,12 +1210,17 @@ export function createImageProcessor({
             }
           }
 
+          let sumY = 0;
+          for (let pixelIndex = 0; pixelIndex < component.pixels.length; pixelIndex++) {
+            sumY += Math.floor(component.pixels[pixelIndex] / width);
+          }
+
           let occupiedColumns = 0;
           let topTouchColumns = 0;
           let bottomTouchColumns = 0;
           let minCenterY = height;
           let maxCenterY = 0;
-          const edgeMargin = Math.max(0, defaultConfig.componentEdgeMarginPx);
+          const edgeMargin = Math.max(0, config.componentEdgeMarginPx);
 
           for (let localX = 0; localX < widthSpan; localX++) {
             if (columnsWithPixels[localX] <= 0) continue;
@@ -399,40 +1235,74 @@ export function createImageProcessor({
           }
 
           const centerlineExcursion = Math.max(0, maxCenterY - minCenterY);
-          const excursionReference = Math.max(6, widthSpan * defaultConfig.componentExcursionWidthRatio);
+          const excursionReference = Math.max(6, widthSpan * config.componentExcursionWidthRatio);
           const normalizedExcursion = Math.max(0, Math.min(1, centerlineExcursion / excursionReference));
-          const excursionPreference = 0.2 + (0.8 * Math.pow(normalizedExcursion, defaultConfig.componentExcursionGamma));
+          const excursionPreference = 0.2 + (0.8 * Math.pow(normalizedExcursion, config.componentExcursionGamma));
           const borderTouchRatio = (topTouchColumns + bottomTouchColumns) / Math.max(1, occupiedColumns * 2);
-          const borderAvoidancePreference = 1 / (1 + (defaultConfig.componentBorderPenaltyWeight * borderTouchRatio * borderTouchRatio * 6));
-          const baseWidthScore = Math.pow(Math.max(1, widthSpan), defaultConfig.componentWidthScoreExponent);
+          const borderAvoidancePreference = 1 / (1 + (config.componentBorderPenaltyWeight * borderTouchRatio * borderTouchRatio * 6));
+          const baseWidthScore = Math.pow(Math.max(1, widthSpan), config.componentWidthScoreExponent);
+          const meanColumnThickness = component.size / Math.max(1, occupiedColumns);
+          const thicknessLimit = Math.max(2, height * config.brightTraceMaxThicknessRatio);
+          const thinnessPreference = polarity === 'bright'
+            ? Math.min(1, thicknessLimit / meanColumnThickness)
+            : 1;
           const waveformScore = baseWidthScore
             * excursionPreference
-            * borderAvoidancePreference;
+            * borderAvoidancePreference
+            * thinnessPreference;
 
           components.push({
             label: component.label,
             waveformScore,
+            centerY: sumY / component.size,
+            terms: {
+              size: component.size,
+              bounds: { minX: component.minX, maxX: component.maxX, minY: component.minY, maxY: component.maxY },
+              widthSpan,
+              baseWidthScore,
+              centerlineExcursion,
+              excursionReference,
+              excursionPreference,
+              borderTouchRatio,
+              borderAvoidancePreference,
+              meanColumnThickness,
+              thinnessPreference,
+            },
           });
+        } else {
+          smallComponentCount++;
         }
         nextLabel++;
       }
     }
 
     // Keep only the single best-scoring component; zero out everything else.
+    components.sort((a, b) => b.waveformScore - a.waveformScore);
     if (components.length > 0) {
-      const bestLabel = components.reduce((best, c) => c.waveformScore > best.waveformScore ? c : best).label;
-
-      for (let i = 0; i < n; i++) {
-        const value = label[i] === bestLabel ? 255 : 0;
-        data[(i) * 4] = value;
-        data[(i) * 4 + 1] = value;
-        data[(i) * 4 + 2] = value;
-        data[(i) * 4 + 3] = 255;
-      }
+      writeComponentMask(label, components[0].label, data);
     }
+
+    const minExtraScore = components.length > 0 ? components[0].waveformScore * config.extraTraceMinScoreRatio : 0;
+    return {
+      labels: label,
+      components: components
+        .slice(0, Math.max(1, keepCount))
+        .filter((component, index) => index === 0 || component.waveformScore >= minExtraScore),
+      candidates: components,
+      smallComponentCount,
+    };
   }
 
   return {
     preprocessImage,
+    preprocessImageTraces,
+    getLastRunInfo: () => ({ ...lastRunInfo }),
+    getLastDebugRun: () => lastDebugRun,
+    getConfig: () => ({ ...config }),
+    getDefaultConfig: () => ({ ...defaultConfig }),
+    // Replace all overrides at once; keys left out go back to their defaults.
+    setConfig: (overrides = {}) => {
+      config = { ...defaultConfig, ...overrides };
+    },
   };
 }
@@ -0,0 +1,170 @@
+// Pipeline client:
+// - hands pipeline jobs to the worker in pipelineWorker.js and resolves with their results
+// - a new job either interrupts the one in flight (the worker is restarted) or waits for it;
+//   only the newest waiting job is kept, and replaced or cancelled jobs resolve with { cancelled: true }
+// - reports when it is busy and how far the current job has got
+// - runs jobs on the main thread instead when a module worker cannot be started
+
+import { createPipelineJobRunner, unpackPipelineResult } from './pipelineWorker.js';
+
+export function createPipelineClient({ onBusyChange, onProgress } = {}) {
+  // What a job resolves with when it was dropped, so callers can tell it from "no trace found".
+  const CANCELLED = Object.freeze({ cancelled: true });
+
+  let worker = null;
+  let workerFailed = typeof Worker === 'undefined';
+  let fallbackRunner = null;
+  let nextJobId = 1;
+  // { id, job, resolve, reject } for the running job and the one queued behind it.
+  let inFlight = null;
+  let waiting = null;
+  let busy = false;
+
+  // Resolves with the job result, null when no trace was found, or { cancelled: true } when a newer
+  // job replaced this one or it was cancelled.
+  function run(job, { interrupt = true } = {}) {
+    return new Promise((resolve, reject) => {
+      const entry = { id: nextJobId++, job, resolve, reject };
+      waiting?.resolve(CANCELLED);
+      waiting = null;
+
+      if (inFlight && !interrupt) {
+        waiting = entry;
+        return;
+      }
+      if (inFlight) cancelInFlight();
+      start(entry);
+    });
+  }
+
+  // Drop the running and waiting jobs, for when their results would overwrite something newer.
+  function cancel() {
+    waiting?.resolve(CANCELLED);
+    waiting = null;
+    if (!inFlight) return;
+    cancelInFlight();
+    setBusy(false);
+  }
+
+  function start(entry) {
+    inFlight = entry;
+    setBusy(true);
+
+    const activeWorker = getWorker();
+    if (!activeWorker) {
+      runOnMainThread(entry);
+      return;
+    }
+
+    // The caller keeps its frame for re-processing and history, so the worker gets a copy to own.
+    const { imageData } = entry.job;
+    const frame = { width: imageData.width, height: imageData.height, data: imageData.data.slice() };
+    activeWorker.postMessage({ id: entry.id, job: { ...entry.job, imageData: frame } }, [frame.data.buffer]);
+  }
+
+  function getWorker() {
+    if (workerFailed) return null;
+    if (worker) return worker;
+
+    try {
+      worker = new Worker(new URL('./pipelineWorker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+      console.error('Pipeline worker error:', err);
+      workerFailed = true;
+      return null;
+    }
+    worker.addEventListener('message', handleWorkerMessage);
+    worker.addEventListener('error', handleWorkerError);
+    return worker;
+  }
+
+  function handleWorkerMessage(event) {
+    const { id, type } = event.data;
+    // Messages from a job that has since been cancelled are ignored.
+    if (!inFlight || id !== inFlight.id) return;
+
+    if (type === 'progress') {
+      reportProgress(event.data.progress);
+      return;
+    }
+
+    const entry = finishInFlight();
+    if (type === 'error') {
+      entry.reject(new Error(event.data.message));
+    } else {
+      entry.resolve(unpackPipelineResult(event.data.result));
+    }
+  }
+
+  // The worker script failed to load (for example from file://), so jobs move to the main thread.
+  function handleWorkerError(event) {
+    console.error('Pipeline worker error:', event.message || event);
+    workerFailed = true;
+    worker?.terminate();
+    worker = null;
+    if (inFlight) runOnMainThread(inFlight);
+  }
+
+  // The run blocks, so it starts on a later task to let the busy state paint first.
+  function runOnMainThread(entry) {
+    fallbackRunner = fallbackRunner || createPipelineJobRunner();
+    setTimeout(() => {
+      if (inFlight !== entry) return;
+      let result = null;
+      try {
+        result = fallbackRunner.run(entry.job, reportProgress);
+      } catch (err) {
+        finishInFlight();
+        entry.reject(err);
+        return;
+      }
+      finishInFlight();
+      entry.resolve(result);
+    }, 0);
+  }
+
+  // A running worker cannot be stopped part way through, so it is replaced.
+  function cancelInFlight() {
+    const entry = inFlight;
+    inFlight = null;
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    entry.resolve(CANCELLED);
+  }
+
+  // Clear the running job and start the queued one, returning the job that finished.
+  function finishInFlight() {
+    const entry = inFlight;
+    inFlight = null;
+    if (waiting) {
+      const next = waiting;
+      waiting = null;
+      start(next);
+    } else {
+      setBusy(false);
+    }
+    return entry;
+  }
+
+  function setBusy(isBusy) {
+    if (busy === isBusy) return;
+    busy = isBusy;
+    if (typeof onBusyChange === 'function') {
+      onBusyChange(busy);
+    }
+  }
+
+  function reportProgress(progress) {
+    if (typeof onProgress === 'function') {
+      onProgress(progress);
+    }
+  }
+
+  return {
+    run,
+    cancel,
+    isBusy: () => busy,
+  };
+}
@@ -0,0 +1,312 @@
+// Pipeline settings:
+// - builds the Advanced panel with a slider for each image processing and extraction tuning value
+// - offers built-in presets for common capture setups and saves named presets in localStorage
+// - remembers the current values so they survive a reload
+
+const SETTINGS_STORAGE_KEY = 'waveformSynth.pipelineSettings';
+const PRESETS_STORAGE_KEY = 'waveformSynth.pipelinePresets';
+const CUSTOM_PRESET_ID = 'custom';
+const SAVED_PRESET_PREFIX = 'saved:';
+
+// Editable values. target says whether the value goes to the image processor or the extractor.
+// Fields are range sliders unless they list options, which makes them a drop-down.
+const SETTING_FIELDS = [
+  { key: 'flattenKernelRadius', target: 'processor', label: 'Background radius (px)', min: 1, max: 40, step: 1 },
+  { key: 'flattenGain', target: 'processor', label: 'Flatten gain', min: 0.5, max: 4, step: 0.1 },
+  { key: 'contrastLowPercentile', target: 'processor', label: 'Contrast low (%)', min: 0, max: 20, step: 0.5 },
+  { key: 'contrastHighPercentile', target: 'processor', label: 'Contrast high (%)', min: 80, max: 99.9, step: 0.1 },
+  {
+    key: 'thresholdMethod',
+    target: 'processor',
+    label: 'Threshold',
+    options: [
+      { value: 'percentile', label: 'Percentile' },
+      { value: 'otsu', label: 'Otsu' },
+      { value: 'sauvola', label: 'Sauvola (local)' },
+      { value: 'niblack', label: 'Niblack (local)' },
+      { value: 'hysteresis', label: 'Hysteresis' },
+    ],
+  },
+  { key: 'thresholdMinContrast', target: 'processor', label: 'Threshold floor', min: 1, max: 30, step: 1 },
+  { key: 'thresholdWindowRadius', target: 'processor', label: 'Local window (px)', min: 3, max: 60, step: 1 },
+  { key: 'thresholdSauvolaK', target: 'processor', label: 'Sauvola k', min: 0.05, max: 0.6, step: 0.01 },
+  { key: 'thresholdNiblackK', target: 'processor', label: 'Niblack k', min: 0.2, max: 4, step: 0.1 },
+  { key: 'thresholdHysteresisHighPercentile', target: 'processor', label: 'Hysteresis high (%)', min: 90, max: 99.9, step: 0.1 },
+  { key: 'thresholdHysteresisLowRatio', target: 'processor', label: 'Hysteresis low', min: 0.05, max: 0.9, step: 0.05 },
+  { key: 'minComponentSizePixels', target: 'processor', label: 'Min blob size (px)', min: 0, max: 1000, step: 10 },
+  { key: 'componentExcursionWidthRatio', target: 'processor', label: 'Expected excursion', min: 0.02, max: 1, step: 0.01 },
+  { key: 'componentExcursionGamma', target: 'processor', label: 'Excursion gamma', min: 0.5, max: 3, step: 0.1 },
+  { key: 'componentWidthScoreExponent', target: 'processor', label: 'Width exponent', min: 0.2, max: 1.5, step: 0.02 },
+  { key: 'componentBorderPenaltyWeight', target: 'processor', label: 'Border penalty', min: 0, max: 5, step: 0.1 },
+  { key: 'medianRadius', target: 'extractor', label: 'Path smoothing (px)', min: 0, max: 8, step: 1 },
+];
+
+// Built-in presets only list the values that differ from the defaults.
+const BUILT_IN_PRESETS = [
+  { id: 'default', name: 'Default', values: {} },
+  {
+    // Faint grey strokes: push the lighting correction harder, keep smaller pieces and let faint
+    // stretches through only where they continue a clear stroke.
+    id: 'paper-pencil',
+    name: 'Paper & pencil',
+    values: { flattenGain: 2.2, contrastHighPercentile: 97.5, thresholdMethod: 'hysteresis', minComponentSizePixels: 30 },
+  },
+  {
+    // Thick marker lines, uneven glare and the board frame in view. A local threshold copes with
+    // marker that runs dry part way along.
+    id: 'whiteboard',
+    name: 'Whiteboard',
+    values: { flattenKernelRadius: 16, flattenGain: 1.2, contrastHighPercentile: 96, thresholdMethod: 'sauvola', minComponentSizePixels: 120, componentBorderPenaltyWeight: 2.5, medianRadius: 3 },
+  },
+  {
+    // Thin bright traces on a dark screen, often with a second channel or text nearby. Fast edges
+    // are drawn dimmer than the flat parts, so hysteresis keeps them joined to the trace.
+    id: 'scope-screen',
+    name: 'Scope screen',
+    values: { flattenKernelRadius: 12, flattenGain: 1.8, contrastHighPercentile: 98.5, thresholdMethod: 'hysteresis', minComponentSizePixels: 40, componentWidthScoreExponent: 0.8, medianRadius: 1 },
+  },
+];
+
+export function createPipelineSettings({
+  fieldsContainer,
+  presetSelect,
+  savePresetButton,
+  deletePresetButton,
+  resetButton,
+  defaults,
+  onChange,
+}) {
+  const inputs = new Map();
+  let savedPresets = loadSavedPresets();
+  let { presetId, values } = loadSettings();
+
+  function init() {
+    // A remembered saved preset may have been deleted in another tab.
+    if (presetId !== CUSTOM_PRESET_ID && !findPresetValues(presetId)) presetId = CUSTOM_PRESET_ID;
+    renderFields();
+    renderPresetOptions();
+
+    if (presetSelect) {
+      presetSelect.addEventListener('change', () => {
+        applyPreset(presetSelect.value);
+      });
+    }
+    savePresetButton?.addEventListener('click', saveCurrentAsPreset);
+    deletePresetButton?.addEventListener('click', deleteSelectedPreset);
+    resetButton?.addEventListener('click', () => applyPreset('default'));
+  }
+
+  function renderFields() {
+    if (!fieldsContainer) return;
+    fieldsContainer.replaceChildren(...SETTING_FIELDS.map((field) => {
+      const label = document.createElement('label');
+      label.className = 'pipeline-setting';
+      label.textContent = field.label;
+
+      const input = field.options ? createSelect(field.options) : createRange(field);
+
+      const output = document.createElement('output');
+      output.className = 'pipeline-setting-value';
+
+      input.addEventListener('input', () => {
+        values = { ...values, [field.key]: field.options ? input.value : Number(input.value) };
+        presetId = CUSTOM_PRESET_ID;
+        syncControls();
+        persistSettings();
+        notifyChange();
+      });
+
+      label.append(input, output);
+      inputs.set(field.key, { input, output });
+      return label;
+    }));
+    syncControls();
+  }
+
+  function createRange({ min, max, step }) {
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = String(min);
+    input.max = String(max);
+    input.step = String(step);
+    return input;
+  }
+
+  function createSelect(options) {
+    const select = document.createElement('select');
+    select.append(...options.map(({ value, label }) => createOption(value, label)));
+    return select;
+  }
+
+  function renderPresetOptions() {
+    if (!presetSelect) return;
+    const builtInOptions = BUILT_IN_PRESETS.map(({ id, name }) => createOption(id, name));
+    const children = [createOption(CUSTOM_PRESET_ID, 'Custom'), ...builtInOptions];
+
+    const savedNames = Object.keys(savedPresets).sort();
+    if (savedNames.length > 0) {
+      const group = document.createElement('optgroup');
+      group.label = 'Saved';
+      group.append(...savedNames.map((name) => createOption(SAVED_PRESET_PREFIX + name, name)));
+      children.push(group);
+    }
+
+    presetSelect.replaceChildren(...children);
+    syncControls();
+  }
+
+  function createOption(value, text) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    return option;
+  }
+
+  // Put every slider, readout and the preset picker in line with the current values.
+  function syncControls() {
+    SETTING_FIELDS.forEach((field) => {
+      const control = inputs.get(field.key);
+      if (!control) return;
+      const value = getValue(field.key);
+      control.input.value = String(value);
+      // A drop-down already shows its value.
+      control.output.textContent = field.options ? '' : String(value);
+    });
+
+    if (presetSelect) presetSelect.value = presetId;
+    if (deletePresetButton) deletePresetButton.disabled = !presetId.startsWith(SAVED_PRESET_PREFIX);
+  }
+
+  function getValue(key) {
+    return key in values ? values[key] : defaults[key];
+  }
+
+  function findPresetValues(id) {
+    if (id.startsWith(SAVED_PRESET_PREFIX)) {
+      return savedPresets[id.slice(SAVED_PRESET_PREFIX.length)] || null;
+    }
+    return BUILT_IN_PRESETS.find((preset) => preset.id === id)?.values || null;
+  }
+
+  function applyPreset(id) {
+    const presetValues = findPresetValues(id);
+    if (!presetValues) {
+      // Custom is not a stored preset; picking it keeps the current values.
+      syncControls();
+      return;
+    }
+    presetId = id;
+    values = { ...presetValues };
+    syncControls();
+    persistSettings();
+    notifyChange();
+  }
+
+  function saveCurrentAsPreset() {
+    const name = window.prompt('Preset name');
+    const trimmed = name?.trim();
+    if (!trimmed) return;
+
+    savedPresets = { ...savedPresets, [trimmed]: getChangedValues() };
+    persistPresets();
+    presetId = SAVED_PRESET_PREFIX + trimmed;
+    persistSettings();
+    renderPresetOptions();
+  }
+
+  function deleteSelectedPreset() {
+    if (!presetId.startsWith(SAVED_PRESET_PREFIX)) return;
+    savedPresets = { ...savedPresets };
+    delete savedPresets[presetId.slice(SAVED_PRESET_PREFIX.length)];
+    persistPresets();
+    presetId = CUSTOM_PRESET_ID;
+    persistSettings();
+    renderPresetOptions();
+  }
+
+  // Only values that differ from the defaults are stored, so later default changes still apply.
+  function getChangedValues() {
+    const changed = {};
+    SETTING_FIELDS.forEach(({ key }) => {
+      if (key in values && values[key] !== defaults[key]) changed[key] = values[key];
+    });
+    return changed;
+  }
+
+  function getConfigFor(target) {
+    const config = {};
+    SETTING_FIELDS.forEach((field) => {
+      if (field.target === target && field.key in values) config[field.key] = values[field.key];
+    });
+    return config;
+  }
+
+  function notifyChange() {
+    if (typeof onChange === 'function') {
+      onChange();
+    }
+  }
+
+  function persistSettings() {
+    try {
+      localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ presetId, values: getChangedValues() }));
+    } catch (err) {
+      // Storage can be unavailable in private browsing; settings then last for this session only.
+    }
+  }
+
+  function persistPresets() {
+    try {
+      localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(savedPresets));
+    } catch (err) {
+      // Same as above: saved presets last for this session only.
+    }
+  }
+
+  function loadSettings() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || 'null');
+      if (stored && typeof stored === 'object' && stored.values && typeof stored.values === 'object') {
+        return { presetId: String(stored.presetId || CUSTOM_PRESET_ID), values: sanitizeValues(stored.values) };
+      }
+    } catch (err) {
+      // Fall through to the defaults.
+    }
+    return { presetId: 'default', values: {} };
+  }
+
+  function loadSavedPresets() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY) || 'null');
+      if (!stored || typeof stored !== 'object') return {};
+      const presets = {};
+      Object.entries(stored).forEach(([name, presetValues]) => {
+        if (presetValues && typeof presetValues === 'object') presets[name] = sanitizeValues(presetValues);
+      });
+      return presets;
+    } catch (err) {
+      return {};
+    }
+  }
+
+  // Keep only known keys with finite values clamped to each slider's range, or one of a drop-down's options.
+  function sanitizeValues(source) {
+    const clean = {};
+    SETTING_FIELDS.forEach(({ key, min, max, options }) => {
+      if (!(key in source)) return;
+      if (options) {
+        if (options.some((option) => option.value === source[key])) clean[key] = source[key];
+        return;
+      }
+      const value = Number(source[key]);
+      if (Number.isFinite(value)) clean[key] = Math.min(max, Math.max(min, value));
+    });
+    return clean;
+  }
+
+  return {
+    init,
+    getProcessorConfig: () => getConfigFor('processor'),
+    getExtractorConfig: () => getConfigFor('extractor'),
+  };
+}
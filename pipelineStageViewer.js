@@ -0,0 +1,118 @@
+// Pipeline stage viewer:
+// - steps through the snapshots the image processor keeps after each stage in debug mode
+// - shows the chosen stage on the processing canvas in place of the preview
+// - lists every candidate component with the terms behind its score, best first
+
+export function createPipelineStageViewer({
+  enableInput,
+  previousButton,
+  nextButton,
+  stageReadout,
+  componentSummary,
+  componentTableBody,
+  onShowStage,
+  onEnabledChange,
+}) {
+  let enabled = false;
+  let debugRun = null;
+  let stageIndex = 0;
+
+  function init() {
+    if (enableInput) {
+      enabled = enableInput.checked;
+      enableInput.addEventListener('change', () => {
+        setEnabled(enableInput.checked);
+      });
+    }
+    previousButton?.addEventListener('click', () => showStage(stageIndex - 1));
+    nextButton?.addEventListener('click', () => showStage(stageIndex + 1));
+    render();
+  }
+
+  function setEnabled(isEnabled) {
+    enabled = !!isEnabled;
+    if (!enabled) {
+      debugRun = null;
+      stageIndex = 0;
+    }
+    render();
+    if (typeof onEnabledChange === 'function') {
+      onEnabledChange(enabled);
+    }
+  }
+
+  // Take a new debug record. The viewer stays on the same stage when the new run has it,
+  // so live mode or a slider change can be watched at one stage.
+  function setDebugRun(nextRun) {
+    if (!enabled || !nextRun) return;
+    const currentStageId = debugRun?.stages[stageIndex]?.id;
+    debugRun = nextRun;
+    const sameStage = debugRun.stages.findIndex((stage) => stage.id === currentStageId);
+    stageIndex = sameStage >= 0 ? sameStage : debugRun.stages.length - 1;
+    render();
+  }
+
+  function showStage(index) {
+    if (!debugRun || index < 0 || index >= debugRun.stages.length) return;
+    stageIndex = index;
+    render();
+  }
+
+  function render() {
+    const stages = debugRun?.stages || [];
+    const stage = stages[stageIndex] || null;
+
+    if (previousButton) previousButton.disabled = !stage || stageIndex === 0;
+    if (nextButton) nextButton.disabled = !stage || stageIndex === stages.length - 1;
+    if (stageReadout) {
+      stageReadout.textContent = stage
+        ? `${stageIndex + 1} / ${stages.length}: ${stage.label}`
+        : enabled ? 'Capture a frame to record the stages' : 'Off';
+    }
+
+    renderComponents();
+    if (typeof onShowStage === 'function') {
+      onShowStage(enabled && stage ? stage.imageData : null);
+    }
+  }
+
+  function renderComponents() {
+    const components = debugRun?.components || [];
+    if (componentSummary) {
+      componentSummary.textContent = debugRun
+        ? `${components.length} scored, ${debugRun.smallComponentCount} too small`
+        : '';
+    }
+    if (!componentTableBody) return;
+
+    componentTableBody.replaceChildren(...components.map((component) => {
+      const row = document.createElement('tr');
+      if (component.kept) row.className = 'component-kept';
+      const cells = [
+        String(component.rank),
+        component.kept ? `Trace ${component.traceIndex + 1}` : '–',
+        String(component.size),
+        String(component.widthSpan),
+        component.baseWidthScore.toFixed(1),
+        `${component.centerlineExcursion.toFixed(0)} / ${component.excursionReference.toFixed(0)}`,
+        component.excursionPreference.toFixed(2),
+        `${Math.round(component.borderTouchRatio * 100)}%`,
+        component.borderAvoidancePreference.toFixed(2),
+        component.thinnessPreference.toFixed(2),
+        component.waveformScore.toFixed(1),
+      ];
+      row.append(...cells.map((text) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        return cell;
+      }));
+      return row;
+    }));
+  }
+
+  return {
+    init,
+    isEnabled: () => enabled,
+    setDebugRun,
+  };
+}
@@ -0,0 +1,112 @@
+// Pipeline worker:
+// - runs image cleanup and waveform extraction for one capture off the main thread
+// - the same job runner is used on the main thread when a worker cannot be started
+// - images cross the thread boundary as plain { width, height, data } objects so their buffers can be transferred
+
+import { createImageProcessor } from './imageProcessing.js';
+import { extractWaveformWithGaps, extractTracePathFromImageData } from './waveformExtractor.js';
+
+// Run pipeline jobs with one long-lived image processor, so its working buffers are reused.
+// job.type is 'capture' (every trace, read as waveforms) or 'trace-path' (the job.traceIndex trace,
+// read as its per-column path for the preview overlay). Returns null when no trace was found.
+export function createPipelineJobRunner() {
+  const imageProcessor = createImageProcessor();
+
+  function run(job, onProgress = () => {}) {
+    const { imageData, roi, processingOptions = {}, extractionOptions = {}, processorConfig = {} } = job;
+    imageProcessor.setConfig(processorConfig);
+
+    onProgress({ stage: 'cleanup' });
+    const traceMasks = imageProcessor.preprocessImageTraces(imageData, roi, processingOptions);
+    if (!traceMasks || traceMasks.length === 0) return null;
+    const runInfo = imageProcessor.getLastRunInfo();
+
+    if (job.type === 'trace-path') {
+      const mask = traceMasks[Math.min(job.traceIndex || 0, traceMasks.length - 1)];
+      return { mask, tracePath: extractTracePathFromImageData(mask, extractionOptions), runInfo };
+    }
+
+    // A locked ROI of the same width would span this many rows, so free-aspect
+    // crops keep the same pixel-to-amplitude scale instead of filling -1..1.
+    const verticalReferencePx = traceMasks[0].width * (imageData.height / imageData.width);
+    // Each trace's quality report combines the extractor's measures with the processor's.
+    const traces = traceMasks.map((mask, index) => {
+      onProgress({ stage: 'extract', index, count: traceMasks.length });
+      const trace = extractWaveformWithGaps(mask, { ...extractionOptions, verticalReferencePx });
+      return trace && { ...trace, quality: { ...trace.quality, ...runInfo.traceQuality[index] } };
+    });
+    if (traces.some((trace) => !trace || trace.waveform.length === 0)) return null;
+
+    return {
+      traceMasks,
+      traces,
+      runInfo,
+      verticalReferencePx,
+      debugRun: processingOptions.debug ? imageProcessor.getLastDebugRun() : null,
+    };
+  }
+
+  return { run };
+}
+
+// Swap every ImageData in a result for a plain object and collect the buffers to transfer.
+export function packPipelineResult(result, transfer) {
+  if (!result) return null;
+  const packImage = (image) => {
+    transfer.push(image.data.buffer);
+    return { width: image.width, height: image.height, data: image.data };
+  };
+
+  const packed = { ...result };
+  if (result.mask) packed.mask = packImage(result.mask);
+  if (result.tracePath) transfer.push(result.tracePath.buffer);
+  if (result.traceMasks) packed.traceMasks = result.traceMasks.map(packImage);
+  if (result.traces) {
+    result.traces.forEach(({ waveform, repaired }) => {
+      transfer.push(waveform.buffer, repaired.buffer);
+    });
+  }
+  if (result.debugRun) {
+    packed.debugRun = {
+      ...result.debugRun,
+      stages: result.debugRun.stages.map((stage) => ({ ...stage, imageData: packImage(stage.imageData) })),
+    };
+  }
+  return packed;
+}
+
+// Turn the plain image objects of a packed result back into ImageData.
+export function unpackPipelineResult(result) {
+  if (!result) return null;
+  const unpackImage = (image) => (image instanceof ImageData ? image : new ImageData(image.data, image.width, image.height));
+
+  const unpacked = { ...result };
+  if (result.mask) unpacked.mask = unpackImage(result.mask);
+  if (result.traceMasks) unpacked.traceMasks = result.traceMasks.map(unpackImage);
+  if (result.debugRun) {
+    unpacked.debugRun = {
+      ...result.debugRun,
+      stages: result.debugRun.stages.map((stage) => ({ ...stage, imageData: unpackImage(stage.imageData) })),
+    };
+  }
+  return unpacked;
+}
+
+// Worker entry point. Importing this file on the main thread only defines the functions above.
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  const runner = createPipelineJobRunner();
+
+  self.addEventListener('message', (event) => {
+    const { id, job } = event.data;
+    try {
+      const result = runner.run(job, (progress) => {
+        self.postMessage({ id, type: 'progress', progress });
+      });
+      const transfer = [];
+      const packed = packPipelineResult(result, transfer);
+      self.postMessage({ id, type: 'result', result: packed }, transfer);
+    } catch (err) {
+      self.postMessage({ id, type: 'error', message: err?.message || String(err) });
+    }
+  });
+}
@@ -0,0 +1,69 @@
+// Regression fixtures:
+// - synthetic scenes drawn in code (scenes.js) and images listed in fixtures/manifest.json
+//   (rendered by renderImageFixtures.js, or real photos)
+// - every fixture becomes { id, source, description, imageData, roi, options, expected },
+//   with one expected waveform per trace, top to bottom
+// - an image's expected waveform is a CSV in the app's export format (one value per line, or
+//   sample,value rows with a header), so a checked capture can be exported from the app as its reference
+
+import { readFileSync } from 'node:fs';
+import { decodePng } from './png.js';
+import { SYNTHETIC_SCENES, createRandom, rowsToWaveform } from './scenes.js';
+
+const FIXTURE_DIR = new URL('./fixtures/', import.meta.url);
+
+export function loadFixtures() {
+  return [...loadSyntheticFixtures(), ...loadImageFixtures()];
+}
+
+function loadSyntheticFixtures() {
+  return SYNTHETIC_SCENES.map((scene) => {
+    const { imageData, expectedRows } = scene.render(createRandom(scene.seed));
+    return {
+      id: scene.id,
+      source: 'synthetic',
+      description: scene.description,
+      imageData,
+      roi: getFullFrameROI(imageData),
+      options: getFixtureOptions(scene),
+      expected: expectedRows.map((rows) => rowsToWaveform(rows, imageData.height)),
+    };
+  });
+}
+
+// Manifest entries: { id, source, description, image, expected: [csv, ...], roi?, processingOptions?,
+// processorConfig?, extractionOptions? }. roi defaults to the whole frame.
+function loadImageFixtures() {
+  const manifest = JSON.parse(readFileSync(new URL('manifest.json', FIXTURE_DIR), 'utf8'));
+  return manifest.fixtures.map((entry) => {
+    const { width, height, data } = decodePng(readFileSync(new URL(entry.image, FIXTURE_DIR)));
+    const imageData = new ImageData(data, width, height);
+    return {
+      id: entry.id,
+      source: entry.source || 'photo',
+      description: entry.description || '',
+      imageData,
+      roi: entry.roi ? { aspectLocked: true, ...entry.roi } : getFullFrameROI(imageData),
+      options: getFixtureOptions(entry),
+      expected: entry.expected.map((file) => parseWaveformCsv(readFileSync(new URL(file, FIXTURE_DIR), 'utf8'))),
+    };
+  });
+}
+
+function getFullFrameROI({ width, height }) {
+  return { x: 0, y: 0, width, height, aspectLocked: true };
+}
+
+function getFixtureOptions({ processingOptions = {}, processorConfig = {}, extractionOptions = {} }) {
+  return { processingOptions, processorConfig, extractionOptions };
+}
+
+// Take the last column of every numeric row; header rows are skipped.
+export function parseWaveformCsv(text) {
+  const values = [];
+  text.split(/\r?\n/).forEach((line) => {
+    const value = Number(line.split(',').pop());
+    if (line.trim() !== '' && Number.isFinite(value)) values.push(value);
+  });
+  return Float32Array.from(values);
+}
@@ -0,0 +1,28 @@
+// ImageData stand-in:
+// - lets the image processor and extractor run under Node, which has no ImageData
+// - supports the two constructor forms the pipeline uses: (width, height) and (data, width, height)
+
+export class NodeImageData {
+  constructor(dataOrWidth, width, height) {
+    if (typeof dataOrWidth === 'number') {
+      this.width = dataOrWidth;
+      this.height = width;
+      this.data = new Uint8ClampedArray(dataOrWidth * width * 4);
+      return;
+    }
+    const rows = height ?? dataOrWidth.length / (width * 4);
+    if (!Number.isInteger(rows) || dataOrWidth.length !== width * rows * 4) {
+      throw new RangeError('ImageData data length does not match width × height × 4');
+    }
+    this.width = width;
+    this.height = rows;
+    this.data = dataOrWidth;
+  }
+}
+
+// Make the stand-in the global ImageData, unless the runtime already has one.
+export function installImageData() {
+  if (typeof globalThis.ImageData === 'undefined') {
+    globalThis.ImageData = NodeImageData;
+  }
+}
@@ -0,0 +1,151 @@
+// PNG reading and writing for the regression fixtures:
+// - decodes 8-bit, non-interlaced PNGs (gray, RGB, palette, gray + alpha, RGBA) into RGBA pixels
+// - encodes RGBA pixels as an 8-bit RGB PNG
+// - uses only node:zlib, so the suite runs without installing anything
+
+import { deflateSync, inflateSync } from 'node:zlib';
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+const CHANNELS_BY_COLOR_TYPE = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Returns { width, height, data } with data as RGBA bytes.
+export function decodePng(buffer) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error('Not a PNG file');
+
+  let header = null;
+  let palette = null;
+  const idatChunks = [];
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const body = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12],
+      };
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'IDAT') {
+      idatChunks.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += length + 12;
+  }
+
+  const channels = CHANNELS_BY_COLOR_TYPE[header?.colorType];
+  if (!header || header.bitDepth !== 8 || header.interlace !== 0 || !channels) {
+    throw new Error('Only 8-bit, non-interlaced PNGs are supported');
+  }
+
+  const { width, height, colorType } = header;
+  const rows = unfilterScanlines(inflateSync(Buffer.concat(idatChunks)), width, height, channels);
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const src = i * channels;
+    const dst = i * 4;
+    if (colorType === 0 || colorType === 4) {
+      data[dst] = data[dst + 1] = data[dst + 2] = rows[src];
+      data[dst + 3] = colorType === 4 ? rows[src + 1] : 255;
+    } else if (colorType === 3) {
+      const entry = rows[src] * 3;
+      data[dst] = palette[entry];
+      data[dst + 1] = palette[entry + 1];
+      data[dst + 2] = palette[entry + 2];
+      data[dst + 3] = 255;
+    } else {
+      data[dst] = rows[src];
+      data[dst + 1] = rows[src + 1];
+      data[dst + 2] = rows[src + 2];
+      data[dst + 3] = colorType === 6 ? rows[src + 3] : 255;
+    }
+  }
+  return { width, height, data };
+}
+
+// Undo the per-row PNG filters (none, sub, up, average, Paeth).
+function unfilterScanlines(raw, width, height, channels) {
+  const stride = width * channels;
+  const out = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    for (let i = 0; i < stride; i++) {
+      const left = i >= channels ? out[row + i - channels] : 0;
+      const up = y > 0 ? out[row - stride + i] : 0;
+      const upLeft = y > 0 && i >= channels ? out[row - stride + i - channels] : 0;
+      let predictor = 0;
+      if (filter === 1) predictor = left;
+      else if (filter === 2) predictor = up;
+      else if (filter === 3) predictor = (left + up) >> 1;
+      else if (filter === 4) predictor = paethPredictor(left, up, upLeft);
+      out[row + i] = (line[i] + predictor) & 255;
+    }
+  }
+  return out;
+}
+
+function paethPredictor(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+  return toUp <= toUpLeft ? up : upLeft;
+}
+
+// Encode RGBA pixels as an RGB PNG; alpha is dropped, as fixture images are opaque.
+export function encodePng({ width, height, data }) {
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * (width * 3 + 1);
+    for (let x = 0; x < width; x++) {
+      const src = (y * width + x) * 4;
+      raw[row + 1 + x * 3] = data[src];
+      raw[row + 2 + x * 3] = data[src + 1];
+      raw[row + 3 + x * 3] = data[src + 2];
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 2;
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createChunk('IHDR', header),
+    createChunk('IDAT', deflateSync(raw, { level: 9 })),
+    createChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+function createChunk(type, body) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(body.length);
+  const typeAndBody = Buffer.concat([Buffer.from(type, 'latin1'), body]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndBody));
+  return Buffer.concat([length, typeAndBody, crc]);
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
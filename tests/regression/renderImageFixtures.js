@@ -0,0 +1,104 @@
+// Rendered image fixtures:
+// - writes synthetic renders with simulated camera effects (tilt, vignetting, defocus, sensor noise)
+//   as PNGs with expected CSVs; they are not photographs
+// - exercises the image fixture path (fixtures/manifest.json) the same way a real photo does
+// - rerun after changing a render below; real photos are added to the manifest by hand
+//
+// Usage: node tests/regression/renderImageFixtures.js
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { installImageData } from './imageData.js';
+import { encodePng } from './png.js';
+import {
+  addNoise,
+  blur,
+  createCanvas,
+  createRandom,
+  drawCurve,
+  drawGrid,
+  drawLine,
+  drawRect,
+  rotate,
+  rowsToWaveform,
+  shade,
+  toImageData,
+  traceRows,
+} from './scenes.js';
+
+const FIXTURE_DIR = new URL('./fixtures/', import.meta.url);
+
+const RENDERED_FIXTURES = [
+  {
+    id: 'rendered-pencil-tilted',
+    description: 'Rendered pencil harmonics on a notebook page, with a simulated 2° camera tilt, vignetting and defocus',
+    seed: 21,
+    // Two whole cycles and no axis line, so the tilt can only be read from the ends of the trace.
+    processingOptions: { deskewFromTrace: true },
+    render(random) {
+      const width = 320;
+      const height = 240;
+      const canvas = createCanvas(width, height, [238, 234, 224]);
+      // Ruled notebook lines.
+      for (let y = 10; y < height; y += 18) {
+        drawLine(canvas, 0, y, width - 1, y, { radius: 0.5, color: [180, 200, 225] });
+      }
+      const rows = drawCurve(canvas, traceRows('harmonics', { width, centerRow: 120, amplitude: 65, cycles: 2 }), {
+        radius: 1.3,
+        color: [105, 105, 112],
+      });
+      rotate(canvas, 2);
+      shade(canvas, (x, y) => 1 - (0.35 * ((((x / width) - 0.5) ** 2) + (((y / height) - 0.5) ** 2))));
+      blur(canvas, 2);
+      addNoise(canvas, random, 3);
+      return { imageData: toImageData(canvas), expectedRows: [rows] };
+    },
+  },
+  {
+    id: 'rendered-scope-glare',
+    description: 'Rendered scope triangle wave with a simulated glare patch, a lit bezel edge and a 1° tilt',
+    seed: 22,
+    processorConfig: { thresholdMethod: 'hysteresis', flattenKernelRadius: 12, flattenGain: 1.8, minComponentSizePixels: 40 },
+    render(random) {
+      const width = 320;
+      const height = 240;
+      const canvas = createCanvas(width, height, [18, 22, 24]);
+      drawGrid(canvas, { spacingX: 32, spacingY: 30, offsetX: 16, offsetY: 15, radius: 0.6, color: [55, 70, 65] });
+      const rows = drawCurve(canvas, traceRows('triangle', { width, centerRow: 120, amplitude: 60, cycles: 3, phase: 0.1 }), {
+        radius: 1.3,
+        color: [150, 255, 170],
+      });
+      drawRect(canvas, 0, 0, width, 6, [150, 150, 145]);
+      shade(canvas, (x, y) => 1 + (2.5 * Math.exp(-(((x - 240) ** 2) + ((y - 60) ** 2)) / 800)));
+      rotate(canvas, -1);
+      blur(canvas);
+      addNoise(canvas, random, 3);
+      return { imageData: toImageData(canvas), expectedRows: [rows] };
+    },
+  },
+];
+
+installImageData();
+
+const manifestUrl = new URL('manifest.json', FIXTURE_DIR);
+const manifest = JSON.parse(readFileSync(manifestUrl, 'utf8'));
+const renderedIds = new Set(RENDERED_FIXTURES.map(({ id }) => id));
+const fixtures = manifest.fixtures.filter((entry) => !renderedIds.has(entry.id));
+
+RENDERED_FIXTURES.forEach((fixture) => {
+  const { imageData, expectedRows } = fixture.render(createRandom(fixture.seed));
+  writeFileSync(new URL(`${fixture.id}.png`, FIXTURE_DIR), encodePng(imageData));
+  const expected = expectedRows.map((rows, index) => {
+    const file = expectedRows.length > 1 ? `${fixture.id}.trace${index + 1}.csv` : `${fixture.id}.csv`;
+    const waveform = rowsToWaveform(rows, imageData.height);
+    writeFileSync(new URL(file, FIXTURE_DIR), `${Array.from(waveform, (value) => value.toFixed(5)).join('\n')}\n`);
+    return file;
+  });
+
+  const entry = { id: fixture.id, source: 'rendered', description: fixture.description, image: `${fixture.id}.png`, expected };
+  if (fixture.processingOptions) entry.processingOptions = fixture.processingOptions;
+  if (fixture.processorConfig) entry.processorConfig = fixture.processorConfig;
+  fixtures.push(entry);
+  console.log(`Wrote ${fixture.id}`);
+});
+
+writeFileSync(manifestUrl, `${JSON.stringify({ fixtures }, null, 2)}\n`);
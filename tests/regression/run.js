@@ -0,0 +1,171 @@
+// Regression runner:
+// - runs every fixture through the job runner the app's pipeline worker uses (image processor, then extractor)
+// - reports per-fixture error against the expected waveform (RMSE) and the share of columns where the trace was found
+// - compares with baseline.json and exits with code 1 when a fixture got worse or lost its trace
+// - says so when the fixture set holds no real camera capture, so passing is not read as covering one
+//
+// Usage: node tests/regression/run.js [--update-baseline] [fixture-id ...]
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { installImageData } from './imageData.js';
+import { loadFixtures } from './fixtures.js';
+import { createPipelineJobRunner } from '../../pipelineWorker.js';
+import { DEFAULT_WAVETABLE_LENGTH } from '../../waveformResampler.js';
+
+const BASELINE_URL = new URL('./baseline.json', import.meta.url);
+
+const REGRESSION_TOLERANCE = {
+  rmseAbsolute: 0.005, // Waveform units (full scale spans 2); below this a change is noise.
+  rmseRelative: 0.1, // Or 10% of the baseline error, whichever is larger.
+  coverage: 0.01, // Share of columns.
+};
+
+installImageData();
+
+const args = process.argv.slice(2);
+const updateBaseline = args.includes('--update-baseline');
+const onlyIds = args.filter((arg) => !arg.startsWith('--'));
+
+const baseline = readBaseline();
+const runner = createPipelineJobRunner();
+const fixtures = loadFixtures().filter((fixture) => onlyIds.length === 0 || onlyIds.includes(fixture.id));
+if (fixtures.length === 0) {
+  console.error('No fixtures match', onlyIds.join(', '));
+  process.exit(1);
+}
+
+const rows = fixtures.map((fixture) => {
+  const measured = measureFixture(fixture);
+  return { fixture, measured, status: compareWithBaseline(measured, baseline[fixture.id]) };
+});
+
+printReport(rows);
+
+// The rendered fixtures simulate camera effects, but only a real photo has real sensor noise, lenses and light.
+if (onlyIds.length === 0 && !fixtures.some((fixture) => fixture.source === 'photo')) {
+  console.log('\nNote: no real camera capture (source "photo") in fixtures/manifest.json; see the README to add one.');
+}
+
+if (updateBaseline) {
+  const nextBaseline = { ...baseline };
+  rows.forEach(({ fixture, measured }) => {
+    if (measured.failure) return;
+    nextBaseline[fixture.id] = { rmse: round(measured.rmse), coverage: round(measured.coverage) };
+  });
+  writeFileSync(BASELINE_URL, `${JSON.stringify(sortKeys(nextBaseline), null, 2)}\n`);
+  console.log(`\nBaseline updated for ${rows.filter(({ measured }) => !measured.failure).length} fixtures.`);
+}
+
+const failed = rows.filter(({ status }) => status === 'WORSE' || status === 'FAILED');
+if (failed.length > 0 && !updateBaseline) {
+  console.log(`\n${failed.length} of ${rows.length} fixtures regressed: ${failed.map(({ fixture }) => fixture.id).join(', ')}`);
+  process.exit(1);
+}
+
+// Run one fixture and score every trace against its expected waveform.
+// The fixture's error is its worst trace: a second channel going wrong is still a regression.
+function measureFixture(fixture) {
+  const { processingOptions, processorConfig, extractionOptions } = fixture.options;
+  const result = runner.run({
+    type: 'capture',
+    imageData: fixture.imageData,
+    roi: fixture.roi,
+    processingOptions: { traceCount: fixture.expected.length, ...processingOptions },
+    // Fixtures are read at the app's default wavetable length unless they ask for another.
+    extractionOptions: { outputLength: DEFAULT_WAVETABLE_LENGTH, ...extractionOptions },
+    processorConfig,
+  });
+  if (!result) return { failure: 'no trace found' };
+  if (result.traces.length < fixture.expected.length) {
+    return { failure: `found ${result.traces.length} of ${fixture.expected.length} traces` };
+  }
+
+  const traces = fixture.expected.map((expected, index) => ({
+    rmse: measureRmse(result.traces[index].waveform, expected),
+    coverage: result.traces[index].quality.coverage,
+  }));
+  return {
+    rmse: Math.max(...traces.map((trace) => trace.rmse)),
+    coverage: Math.min(...traces.map((trace) => trace.coverage)),
+  };
+}
+
+// RMSE after resampling the reference to the extracted length and removing the median level
+// difference, so only the shape counts (the extractor centres on the median of what it found).
+function measureRmse(waveform, expected) {
+  const reference = resampleLinear(expected, waveform.length);
+  const differences = [];
+  for (let i = 0; i < waveform.length; i++) {
+    if (Number.isFinite(reference[i]) && Number.isFinite(waveform[i])) differences.push(waveform[i] - reference[i]);
+  }
+  if (differences.length === 0) return Infinity;
+
+  const offset = differences.slice().sort((a, b) => a - b)[Math.floor(differences.length / 2)];
+  const sumSquares = differences.reduce((sum, difference) => sum + ((difference - offset) ** 2), 0);
+  return Math.sqrt(sumSquares / differences.length);
+}
+
+function resampleLinear(values, length) {
+  if (values.length === length) return values;
+  const out = new Float32Array(length);
+  const scale = (values.length - 1) / Math.max(1, length - 1);
+  for (let i = 0; i < length; i++) {
+    const position = i * scale;
+    const left = Math.floor(position);
+    const right = Math.min(values.length - 1, left + 1);
+    out[i] = values[left] + ((values[right] - values[left]) * (position - left));
+  }
+  return out;
+}
+
+// 'ok', 'better', 'WORSE', 'FAILED' or 'new' when the fixture has no baseline yet.
+function compareWithBaseline(measured, reference) {
+  if (measured.failure) return 'FAILED';
+  if (!reference) return 'new';
+
+  const rmseAllowance = Math.max(REGRESSION_TOLERANCE.rmseAbsolute, reference.rmse * REGRESSION_TOLERANCE.rmseRelative);
+  if (measured.rmse > reference.rmse + rmseAllowance || measured.coverage < reference.coverage - REGRESSION_TOLERANCE.coverage) {
+    return 'WORSE';
+  }
+  if (measured.rmse < reference.rmse - rmseAllowance || measured.coverage > reference.coverage + REGRESSION_TOLERANCE.coverage) {
+    return 'better';
+  }
+  return 'ok';
+}
+
+function printReport(reportRows) {
+  const table = [['fixture', 'source', 'rmse', 'baseline', 'coverage', 'baseline', 'status']];
+  reportRows.forEach(({ fixture, measured, status }) => {
+    const reference = baseline[fixture.id];
+    table.push([
+      fixture.id,
+      fixture.source,
+      measured.failure ? measured.failure : measured.rmse.toFixed(4),
+      reference ? reference.rmse.toFixed(4) : '–',
+      measured.failure ? '' : `${(measured.coverage * 100).toFixed(1)}%`,
+      reference ? `${(reference.coverage * 100).toFixed(1)}%` : '–',
+      status,
+    ]);
+  });
+
+  const widths = table[0].map((_, column) => Math.max(...table.map((row) => row[column].length)));
+  table.forEach((row) => {
+    console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+  });
+}
+
+function readBaseline() {
+  try {
+    return JSON.parse(readFileSync(BASELINE_URL, 'utf8'));
+  } catch (err) {
+    return {};
+  }
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function sortKeys(object) {
+  return Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+}
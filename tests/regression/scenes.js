@@ -0,0 +1,436 @@
+// Synthetic scenes:
+// - draws waveform test images whose trace position is known in every column, so the expected waveform is exact
+// - paper, whiteboard and scope screen backgrounds with uneven lighting, grids, distractors and sensor noise
+// - a seeded random source makes every render identical from run to run
+
+const TWO_PI = Math.PI * 2;
+
+// Small seeded generator (mulberry32), so noise is the same on every machine.
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Floating-point RGB canvas; colours are [r, g, b] in 0..255.
+export function createCanvas(width, height, color) {
+  const canvas = { width, height, pixels: new Float32Array(width * height * 3) };
+  fillBackground(canvas, () => color);
+  return canvas;
+}
+
+export function fillBackground(canvas, colorAt) {
+  const { width, height, pixels } = canvas;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b] = colorAt(x, y);
+      const idx = (y * width + x) * 3;
+      pixels[idx] = r;
+      pixels[idx + 1] = g;
+      pixels[idx + 2] = b;
+    }
+  }
+}
+
+// Multiply the canvas by a brightness factor, for shading, shadows and vignetting.
+export function shade(canvas, factorAt) {
+  const { width, height, pixels } = canvas;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const factor = factorAt(x, y);
+      const idx = (y * width + x) * 3;
+      pixels[idx] *= factor;
+      pixels[idx + 1] *= factor;
+      pixels[idx + 2] *= factor;
+    }
+  }
+}
+
+// Draw the curve y = rowAt(x) as a round-ended stroke of the given radius.
+// Columns where skip(x) is true are left blank, for broken strokes.
+// Returns the expected row per column (NaN where skipped).
+export function drawCurve(canvas, rowAt, { radius, color, opacity = 1, skip = () => false }) {
+  const coverage = new Float32Array(canvas.width * canvas.height);
+  const expectedRows = new Float32Array(canvas.width);
+  for (let x = 0; x < canvas.width; x++) {
+    expectedRows[x] = skip(x) ? NaN : rowAt(x);
+  }
+
+  // Stamp discs every quarter pixel of arc length so steep parts stay solid.
+  let x = 0;
+  while (x <= canvas.width - 1) {
+    const y = rowAt(x);
+    if (!skip(Math.round(x))) stampDisc(coverage, canvas.width, canvas.height, x, y, radius);
+    const slope = rowAt(x + 0.01) - y;
+    x += 0.25 / Math.sqrt(1 + ((slope / 0.01) ** 2));
+  }
+  composite(canvas, coverage, color, opacity);
+  return expectedRows;
+}
+
+// Straight stroke between two points, for grid lines, frames and distractors.
+export function drawLine(canvas, x0, y0, x1, y1, { radius, color, opacity = 1 }) {
+  const coverage = new Float32Array(canvas.width * canvas.height);
+  const steps = Math.max(1, Math.ceil(Math.hypot(x1 - x0, y1 - y0) * 4));
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    stampDisc(coverage, canvas.width, canvas.height, x0 + ((x1 - x0) * t), y0 + ((y1 - y0) * t), radius);
+  }
+  composite(canvas, coverage, color, opacity);
+}
+
+export function drawRect(canvas, x0, y0, x1, y1, color) {
+  for (let y = Math.max(0, y0); y < Math.min(canvas.height, y1); y++) {
+    for (let x = Math.max(0, x0); x < Math.min(canvas.width, x1); x++) {
+      canvas.pixels.set(color, (y * canvas.width + x) * 3);
+    }
+  }
+}
+
+// Evenly spaced vertical and horizontal lines across the whole canvas.
+export function drawGrid(canvas, { spacingX, spacingY, offsetX = 0, offsetY = 0, radius, color, opacity = 1 }) {
+  for (let x = offsetX; x < canvas.width; x += spacingX) {
+    drawLine(canvas, x, 0, x, canvas.height - 1, { radius, color, opacity });
+  }
+  for (let y = offsetY; y < canvas.height; y += spacingY) {
+    drawLine(canvas, 0, y, canvas.width - 1, y, { radius, color, opacity });
+  }
+}
+
+// Anti-aliased disc coverage, keeping the strongest coverage where stamps overlap.
+function stampDisc(coverage, width, height, cx, cy, radius) {
+  const x0 = Math.max(0, Math.floor(cx - radius - 1));
+  const x1 = Math.min(width - 1, Math.ceil(cx + radius + 1));
+  const y0 = Math.max(0, Math.floor(cy - radius - 1));
+  const y1 = Math.min(height - 1, Math.ceil(cy + radius + 1));
+  for (let y = y0; y <= y1; y++) {
+    for (let x = x0; x <= x1; x++) {
+      const value = Math.min(1, Math.max(0, radius + 0.5 - Math.hypot(x - cx, y - cy)));
+      const idx = y * width + x;
+      if (value > coverage[idx]) coverage[idx] = value;
+    }
+  }
+}
+
+function composite(canvas, coverage, color, opacity) {
+  const { pixels } = canvas;
+  for (let i = 0; i < coverage.length; i++) {
+    const alpha = coverage[i] * opacity;
+    if (alpha <= 0) continue;
+    for (let c = 0; c < 3; c++) {
+      pixels[(i * 3) + c] += (color[c] - pixels[(i * 3) + c]) * alpha;
+    }
+  }
+}
+
+// Separable [1 2 1] blur, repeated for a softer focus.
+export function blur(canvas, passes = 1) {
+  const { width, height } = canvas;
+  let source = canvas.pixels;
+  let target = new Float32Array(source.length);
+  for (let pass = 0; pass < passes * 2; pass++) {
+    const horizontal = pass % 2 === 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const before = horizontal ? [Math.max(0, x - 1), y] : [x, Math.max(0, y - 1)];
+        const after = horizontal ? [Math.min(width - 1, x + 1), y] : [x, Math.min(height - 1, y + 1)];
+        const idx = (y * width + x) * 3;
+        const beforeIdx = (before[1] * width + before[0]) * 3;
+        const afterIdx = (after[1] * width + after[0]) * 3;
+        for (let c = 0; c < 3; c++) {
+          target[idx + c] = (source[beforeIdx + c] + (2 * source[idx + c]) + source[afterIdx + c]) / 4;
+        }
+      }
+    }
+    [source, target] = [target, source];
+  }
+  canvas.pixels = source;
+}
+
+// Gaussian sensor noise, the same on all three channels plus a little colour noise.
+export function addNoise(canvas, random, sigma) {
+  const { pixels } = canvas;
+  for (let i = 0; i < pixels.length; i += 3) {
+    const luma = gaussian(random) * sigma;
+    for (let c = 0; c < 3; c++) {
+      pixels[i + c] += luma + (gaussian(random) * sigma * 0.3);
+    }
+  }
+}
+
+function gaussian(random) {
+  const u = Math.max(1e-9, random());
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(TWO_PI * random());
+}
+
+// Rotate the whole canvas about its centre (bilinear), for a camera held slightly askew.
+// Pixels rotated in from outside take the nearest edge colour.
+export function rotate(canvas, angleDeg) {
+  const { width, height, pixels } = canvas;
+  const out = new Float32Array(pixels.length);
+  const cos = Math.cos((angleDeg * Math.PI) / 180);
+  const sin = Math.sin((angleDeg * Math.PI) / 180);
+  const cx = (width - 1) / 2;
+  const cy = (height - 1) / 2;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(width - 1, Math.max(0, cx + ((x - cx) * cos) + ((y - cy) * sin)));
+      const sy = Math.min(height - 1, Math.max(0, cy - ((x - cx) * sin) + ((y - cy) * cos)));
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const x1 = Math.min(width - 1, x0 + 1);
+      const y1 = Math.min(height - 1, y0 + 1);
+      const fx = sx - x0;
+      const fy = sy - y0;
+      for (let c = 0; c < 3; c++) {
+        const top = (pixels[((y0 * width) + x0) * 3 + c] * (1 - fx)) + (pixels[((y0 * width) + x1) * 3 + c] * fx);
+        const bottom = (pixels[((y1 * width) + x0) * 3 + c] * (1 - fx)) + (pixels[((y1 * width) + x1) * 3 + c] * fx);
+        out[((y * width) + x) * 3 + c] = (top * (1 - fy)) + (bottom * fy);
+      }
+    }
+  }
+  canvas.pixels = out;
+}
+
+// Round to 8-bit RGBA, the form a captured frame has.
+export function toImageData(canvas) {
+  const { width, height, pixels } = canvas;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data[i * 4] = Math.round(pixels[i * 3]);
+    data[(i * 4) + 1] = Math.round(pixels[(i * 3) + 1]);
+    data[(i * 4) + 2] = Math.round(pixels[(i * 3) + 2]);
+    data[(i * 4) + 3] = 255;
+  }
+  return new ImageData(data, width, height);
+}
+
+// Periodic test shapes with period 1 and range -1..1. Edges of the square and sawtooth take
+// edgeShare of a period, so every column still has one well-defined row.
+const SHAPES = {
+  sine: (t) => Math.sin(TWO_PI * t),
+  harmonics: (t) => (Math.sin(TWO_PI * t) + (0.35 * Math.sin(3 * TWO_PI * t))) / 1.2,
+  triangle: (t) => 1 - (4 * Math.abs(wrap(t + 0.25) - 0.5)),
+  sawtooth: (t, edgeShare = 0.03) => {
+    const phase = wrap(t);
+    return phase < 1 - edgeShare ? -1 + ((2 * phase) / (1 - edgeShare)) : 1 - ((2 * (phase - 1 + edgeShare)) / edgeShare);
+  },
+  // High for the first half period; the edges are centred on phase 0 and 0.5.
+  square: (t, edgeShare = 0.03) => {
+    const phase = wrap(t);
+    const ramp = (value) => Math.min(1, Math.max(-1, value / (edgeShare / 2)));
+    if (phase < 0.25) return ramp(phase);
+    return phase < 0.75 ? ramp(0.5 - phase) : ramp(phase - 1);
+  },
+};
+
+function wrap(t) {
+  return t - Math.floor(t);
+}
+
+// Row of a trace centred on centerRow, swinging amplitude rows, with cycles periods across the width.
+export function traceRows(shape, { width, centerRow, amplitude, cycles, phase = 0 }) {
+  return (x) => centerRow - (amplitude * SHAPES[shape]((cycles * x) / width + phase));
+}
+
+// Fixtures drawn in code. Each render returns { imageData, expectedRows } with one row array per trace,
+// top to bottom. Options are passed to the pipeline the same way the app passes them.
+export const SYNTHETIC_SCENES = [
+  {
+    id: 'pencil-sine',
+    description: 'Grey pencil sine on paper lit from one side, with a soft shadow',
+    seed: 11,
+    render(random) {
+      const width = 320;
+      const height = 240;
+      const canvas = createCanvas(width, height, [236, 232, 222]);
+      const rows = drawCurve(canvas, traceRows('sine', { width, centerRow: 120, amplitude: 70, cycles: 2 }), {
+        radius: 1.2,
+        color: [120, 120, 125],
+      });
+      shade(canvas, (x, y) => 0.8 + (0.2 * (x / width)) - (0.15 * Math.exp(-(((x - 60) ** 2) + ((y - 200) ** 2)) / 3000)));
+      blur(canvas);
+      addNoise(canvas, random, 3);
+      return { imageData: toImageData(canvas), expectedRows: [rows] };
+    },
+  },
+  {
+    id: 'whiteboard-triangle',
+    description: 'Thick blue marker triangle wave on a whiteboard with glare and a dark frame edge',
+    seed: 12,
+    processorConfig: { thresholdMethod: 'sauvola', flattenKernelRadius: 16, flattenGain: 1.2, minComponentSizePixels: 120 },
+    render(random) {
+      const width = 320;
+      const height = 240;
+      const canvas = createCanvas(width, height, [244, 246, 248]);
+      const rows = drawCurve(canvas, traceRows('triangle', { width, centerRow: 115, amplitude: 65, cycles: 2 }), {
+        radius: 3.5,
+        color: [40, 55, 130],
+      });
+      drawRect(canvas, 0, 228, width, height, [70, 70, 75]);
+      shade(canvas, (x, y) => 0.85 + (0.2 * Math.exp(-(((x - 220) ** 2) + ((y - 60) ** 2)) / 2500)));
+      blur(canvas);
+      addNoise(canvas, random, 2.5);
+      return { imageData: toImageData(canvas), expectedRows: [rows] };
+    },
+  },
+  {
+    id: 'scope-graticule',
+    description: 'Green scope trace with a third harmonic over a dim graticule',
+    seed: 13,
+    render(random) {
+      const width = 320;
+      const height = 240;
+      const canvas = createCanvas(width, height, [16, 20, 18]);
+      drawGrid(canvas, { spacingX: 32, spacingY: 30, offsetX: 16, offsetY: 15, radius: 0.6, color: [70, 90, 75] });
+      const rows = drawCurve(canvas, traceRows('harmonics', { width, centerRow: 120, amplitude: 75, cycles: 2 }), {
+        radius: 1.3,
+        color: [130, 255, 150],
+      });
+      blur(canvas);
+      addNoise(canvas, random, 3);
+      return { imageData: toImageData(canvas), expectedRows: [rows] };
+    },
+  },
+  {
+    id: 'graph-paper-sawtooth',
+    description: 'Black pen sawtooth on blue graph paper',
+    seed: 14,
+    extractionOptions: { method: 'trace', edgePolicy: 'midpoint' },
+    render(random) {
+      const width = 320;
+      const height = 240;
+      const canvas = createCanvas(width, height, [242, 242, 236]);
+      drawGrid(canvas, { spacingX: 20, spacingY: 20, offsetX: 10, offsetY: 10, radius: 0.5, color: [165, 195, 230] });
+      const rows = drawCurve(canvas, traceRows('sawtooth', { width, centerRow: 120, amplitude: 70, cycles: 2, phase: 0.5 }), {
+        radius: 1.4,
+        color: [30, 30, 35],
+      });
+      blur(canvas);
+      addNoise(canvas, random, 3);
+      return { imageData: toImageData(canvas), expectedRows: [rows] };
+    },
+  },
+  {
+    id: 'two-channel-scope',
+    description: 'Yellow sine above a cyan square wave on a scope screen, read as two traces',
+    seed: 15,
+    processingOptions: { traceCount: 2 },
+    render(random) {
+      const width = 320;
+      const height = 240;
+      const canvas = createCanvas(width, height, [14, 16, 20]);
+      const upper = drawCurve(canvas, traceRows('sine', { width, centerRow: 65, amplitude: 40, cycles: 2 }), {
+        radius: 1.3,
+        color: [250, 230, 90],
+      });
+      const lower = drawCurve(canvas, traceRows('square', { width, centerRow: 175, amplitude: 35, cycles: 2, phase: 0.1 }), {
+        radius: 1.3,
+        color: [90, 220, 250],
+      });
+      blur(canvas);
+      addNoise(canvas, random, 3);
+      return { imageData: toImageData(canvas), expectedRows: [upper, lower] };
+    },
+  },
+  {
+    id: 'color-key-red',
+    description: 'Red pen sine crossed by a longer black doodle, picked out by colour',
+    seed: 16,
+    processingOptions: { colorKey: { r: 200, g: 45, b: 45 } },
+    render(random) {
+      const width = 320;
+      const height = 240;
+      const canvas = createCanvas(width, height, [238, 236, 230]);
+      drawCurve(canvas, traceRows('sine', { width, centerRow: 130, amplitude: 90, cycles: 1.5, phase: 0.2 }), {
+        radius: 1.6,
+        color: [25, 25, 30],
+      });
+      const rows = drawCurve(canvas, traceRows('sine', { width, centerRow: 115, amplitude: 55, cycles: 2 }), {
+        radius: 1.5,
+        color: [200, 45, 45],
+      });
+      blur(canvas);
+      addNoise(canvas, random, 3);
+      return { imageData: toImageData(canvas), expectedRows: [rows] };
+    },
+  },
+  {
+    id: 'broken-pencil',
+    description: 'Faint pencil sine with three breaks in the line; component filtering keeps only the longest piece',
+    seed: 17,
+    extractionOptions: { gapFill: 'cubic' },
+    render(random) {
+      const width = 320;
+      const height = 240;
+      const canvas = createCanvas(width, height, [234, 232, 226]);
+      const breaks = [[52, 64], [150, 170], [250, 258]];
+      const rows = drawCurve(canvas, traceRows('sine', { width, centerRow: 120, amplitude: 65, cycles: 2 }), {
+        radius: 1.1,
+        color: [150, 150, 155],
+        skip: (x) => breaks.some(([start, end]) => x >= start && x < end),
+      });
+      blur(canvas);
+      addNoise(canvas, random, 3);
+      // The reference is the whole drawn curve; the breaks only hide it.
+      const fullRows = traceRows('sine', { width, centerRow: 120, amplitude: 65, cycles: 2 });
+      return { imageData: toImageData(canvas), expectedRows: [rows.map((_, x) => fullRows(x))] };
+    },
+  },
+  {
+    id: 'paper-distractors',
+    description: 'Pen sine with handwritten-like labels, a straight axis line and a page edge',
+    seed: 18,
+    render(random) {
+      const width = 320;
+      const height = 240;
+      const canvas = createCanvas(width, height, [240, 238, 232]);
+      const rows = drawCurve(canvas, traceRows('sine', { width, centerRow: 125, amplitude: 60, cycles: 2, phase: 0.25 }), {
+        radius: 1.3,
+        color: [35, 35, 45],
+      });
+      drawLine(canvas, 10, 125, 310, 125, { radius: 0.8, color: [90, 90, 95] });
+      for (let i = 0; i < 6; i++) {
+        drawRect(canvas, 14 + (i * 9), 12, 20 + (i * 9), 22, [40, 40, 50]);
+      }
+      drawRect(canvas, 0, 0, 6, height, [90, 85, 80]);
+      blur(canvas);
+      addNoise(canvas, random, 3);
+      return { imageData: toImageData(canvas), expectedRows: [rows] };
+    },
+  },
+  {
+    id: 'pencil-partial-cycle',
+    description: 'Pencil sine of 2.25 cycles that ends a peak above where it starts; it must not be levelled as tilt',
+    seed: 19,
+    render(random) {
+      const width = 320;
+      const height = 240;
+      const canvas = createCanvas(width, height, [236, 232, 222]);
+      const rows = drawCurve(canvas, traceRows('sine', { width, centerRow: 120, amplitude: 70, cycles: 2.25 }), {
+        radius: 1.2,
+        color: [120, 120, 125],
+      });
+      blur(canvas);
+      addNoise(canvas, random, 3);
+      return { imageData: toImageData(canvas), expectedRows: [rows] };
+    },
+  },
+];
+
+// Turn expected rows into the waveform the extractor would report for a full-frame ROI:
+// +1 at the top row, -1 at the bottom, centred on the median like the extractor does.
+export function rowsToWaveform(rows, height) {
+  const center = (height - 1) / 2;
+  const halfSpan = Math.max(1, height - 1) / 2;
+  const waveform = Float32Array.from(rows, (row) => (center - row) / halfSpan);
+  const found = Array.from(waveform).filter(Number.isFinite).sort((a, b) => a - b);
+  const median = found.length > 0 ? found[Math.floor(found.length / 2)] : 0;
+  for (let i = 0; i < waveform.length; i++) waveform[i] -= median;
+  return waveform;
+}
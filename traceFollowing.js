@@ -0,0 +1,283 @@
+// Trace following:
+// - thins the cleaned mask to a one-pixel skeleton
+// - walks the skeleton from left to right, so vertical edges and strokes that double back stay in drawing order
+// - turns the ordered path into one row per column with a selectable edge policy
+
+const TRACE_FOLLOWING_CONFIG = {
+  headingWindow: 4, // Steps used to estimate the current drawing direction.
+  rightwardBias: 0.35, // Extra preference for branches that move right at a junction.
+  maxBacktrackPx: 2, // After a dead end, the walk may resume this far left of its furthest column.
+  minSpikePx: 6, // Dead-end side branches at least this long are spikes and walked out and back; shorter ones are thinning spurs.
+  maxSpikeWidthPx: 6, // A side branch spreading wider than this is another part of the trace, not a spike.
+};
+
+// How a column with several path rows is reduced to one value.
+// step: the row the stroke leaves the column at, so a vertical edge falls between two samples
+// midpoint: halfway between where the stroke enters and leaves the column
+// peak: the row furthest from where the stroke entered, so a one-column spike survives
+const EDGE_POLICIES = ['step', 'midpoint', 'peak'];
+
+// 8-neighbour offsets in clockwise order starting north, as used by the thinning rule.
+const NEIGHBOR_DX = [0, 1, 1, 1, 0, -1, -1, -1];
+const NEIGHBOR_DY = [-1, -1, 0, 1, 1, 1, 0, -1];
+
+// Follow the trace skeleton in the mask and return one row per column.
+// Columns the walk never reached are NaN.
+export function followTraceSkeleton(imageData, { edgePolicy = 'step' } = {}) {
+  const { width, height, data } = imageData;
+  const skeleton = new Uint8Array(width * height);
+  for (let i = 0; i < skeleton.length; i++) {
+    skeleton[i] = data[i * 4] >= 128 ? 1 : 0;
+  }
+  thinMask(skeleton, width, height);
+
+  const path = walkSkeleton(skeleton, width, height);
+  return reducePathToColumns(path, width, EDGE_POLICIES.includes(edgePolicy) ? edgePolicy : 'step');
+}
+
+// Zhang-Suen thinning in place. Only pixels still set are revisited on each pass.
+function thinMask(mask, width, height) {
+  let pixels = [];
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i]) pixels.push(i);
+  }
+
+  const neighbors = new Uint8Array(8);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const pass of [0, 1]) {
+      const toClear = [];
+      for (const index of pixels) {
+        const x = index % width;
+        const y = (index - x) / width;
+        let count = 0;
+        for (let k = 0; k < 8; k++) {
+          const nx = x + NEIGHBOR_DX[k];
+          const ny = y + NEIGHBOR_DY[k];
+          neighbors[k] = nx >= 0 && ny >= 0 && nx < width && ny < height ? mask[(ny * width) + nx] : 0;
+          count += neighbors[k];
+        }
+        if (count < 2 || count > 6) continue;
+
+        let transitions = 0;
+        for (let k = 0; k < 8; k++) {
+          if (!neighbors[k] && neighbors[(k + 1) % 8]) transitions++;
+        }
+        if (transitions !== 1) continue;
+
+        // neighbors: 0 north, 2 east, 4 south, 6 west.
+        const [north, , east, , south, , west] = neighbors;
+        const removable = pass === 0
+          ? !(north && east && south) && !(east && south && west)
+          : !(north && east && west) && !(north && south && west);
+        if (removable) toClear.push(index);
+      }
+
+      for (const index of toClear) mask[index] = 0;
+      if (toClear.length > 0) changed = true;
+    }
+    pixels = pixels.filter((index) => mask[index]);
+  }
+}
+
+// Walk the skeleton from its leftmost end, preferring the neighbour that keeps the current
+// direction. Side branches that end after a while (a spike drawn up and back down the same line)
+// are walked out and back first. At a dead end (a spur, or a break in the stroke) the walk resumes
+// from the nearest unvisited skeleton pixel that is not behind the furthest column reached so far.
+function walkSkeleton(skeleton, width, height) {
+  const remaining = [];
+  for (let i = 0; i < skeleton.length; i++) {
+    if (skeleton[i]) remaining.push(i);
+  }
+  if (remaining.length === 0) return { xs: [], ys: [] };
+
+  const visited = new Uint8Array(skeleton.length);
+  const xs = [];
+  const ys = [];
+  let current = findStartPixel(skeleton, remaining, width, height);
+  let furthestX = 0;
+
+  while (current >= 0) {
+    visited[current] = 1;
+    const x = current % width;
+    const y = (current - x) / width;
+    xs.push(x);
+    ys.push(y);
+    furthestX = Math.max(furthestX, x);
+
+    current = pickNextNeighbor(skeleton, visited, xs, ys, width, height);
+    if (current >= 0) {
+      walkSideSpikes(skeleton, visited, xs, ys, width, height, current);
+    }
+    if (current < 0) {
+      current = findResumePixel(remaining, visited, width, x, y, furthestX);
+    }
+  }
+
+  return { xs, ys };
+}
+
+// Leftmost skeleton pixel, preferring a stroke end so the walk does not start halfway up an edge.
+function findStartPixel(skeleton, pixels, width, height) {
+  let minX = Infinity;
+  for (const index of pixels) minX = Math.min(minX, index % width);
+
+  let start = -1;
+  for (const index of pixels) {
+    if (index % width !== minX) continue;
+    if (start < 0) start = index;
+    if (countSkeletonNeighbors(skeleton, index, width, height) <= 1) return index;
+  }
+  return start;
+}
+
+function countSkeletonNeighbors(skeleton, index, width, height) {
+  const x = index % width;
+  const y = (index - x) / width;
+  let count = 0;
+  for (let k = 0; k < 8; k++) {
+    const nx = x + NEIGHBOR_DX[k];
+    const ny = y + NEIGHBOR_DY[k];
+    if (nx >= 0 && ny >= 0 && nx < width && ny < height) count += skeleton[(ny * width) + nx];
+  }
+  return count;
+}
+
+function pickNextNeighbor(skeleton, visited, xs, ys, width, height) {
+  const last = xs.length - 1;
+  const back = Math.max(0, last - TRACE_FOLLOWING_CONFIG.headingWindow);
+  let headingX = last > back ? xs[last] - xs[back] : 1;
+  let headingY = last > back ? ys[last] - ys[back] : 0;
+  const headingLength = Math.hypot(headingX, headingY) || 1;
+  headingX /= headingLength;
+  headingY /= headingLength;
+
+  let best = -1;
+  let bestScore = -Infinity;
+  for (let k = 0; k < 8; k++) {
+    const nx = xs[last] + NEIGHBOR_DX[k];
+    const ny = ys[last] + NEIGHBOR_DY[k];
+    if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+    const index = (ny * width) + nx;
+    if (!skeleton[index] || visited[index]) continue;
+
+    const stepLength = Math.hypot(NEIGHBOR_DX[k], NEIGHBOR_DY[k]);
+    const score = (((NEIGHBOR_DX[k] * headingX) + (NEIGHBOR_DY[k] * headingY)) / stepLength)
+      + (TRACE_FOLLOWING_CONFIG.rightwardBias * NEIGHBOR_DX[k]);
+    if (score > bestScore) {
+      bestScore = score;
+      best = index;
+    }
+  }
+  return best;
+}
+
+// Any other unvisited neighbour of the last path point starts a side branch. A narrow branch that
+// dead-ends after at least minSpikePx pixels is appended out and back; one that reaches another
+// junction or spreads sideways is left for the walk to find later.
+function walkSideSpikes(skeleton, visited, xs, ys, width, height, next) {
+  const last = xs.length - 1;
+  const junctionX = xs[last];
+  const junctionY = ys[last];
+  const isNearJunction = (x, y) => Math.abs(x - junctionX) <= 1 && Math.abs(y - junctionY) <= 1;
+
+  for (let k = 0; k < 8; k++) {
+    const startX = junctionX + NEIGHBOR_DX[k];
+    const startY = junctionY + NEIGHBOR_DY[k];
+    if (startX < 0 || startY < 0 || startX >= width || startY >= height) continue;
+    const start = (startY * width) + startX;
+    if (start === next || !skeleton[start] || visited[start]) continue;
+
+    const branch = [start];
+    const inBranch = new Set(branch);
+    let deadEnd = false;
+    while (branch.length <= height) {
+      const tip = branch[branch.length - 1];
+      const tipX = tip % width;
+      const tipY = (tip - tipX) / width;
+      if (Math.abs(tipX - junctionX) > TRACE_FOLLOWING_CONFIG.maxSpikeWidthPx) break;
+      const steps = [];
+      for (let j = 0; j < 8; j++) {
+        const nx = tipX + NEIGHBOR_DX[j];
+        const ny = tipY + NEIGHBOR_DY[j];
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height || isNearJunction(nx, ny)) continue;
+        const index = (ny * width) + nx;
+        if (skeleton[index] && !visited[index] && !inBranch.has(index)) steps.push(index);
+      }
+      if (steps.length === 0) {
+        deadEnd = true;
+        break;
+      }
+      // Staircase pixels touch both a straight and a diagonal neighbour; take the straight one.
+      const step = steps.find((index) => (index % width === tipX) || ((index - (index % width)) / width === tipY)) ?? steps[0];
+      if (steps.length > 2 || (steps.length === 2 && !isAdjacent(steps[0], steps[1], width))) break;
+      branch.push(step);
+      inBranch.add(step);
+    }
+    if (!deadEnd || branch.length < TRACE_FOLLOWING_CONFIG.minSpikePx) continue;
+
+    const outAndBack = branch.concat(branch.slice(0, -1).reverse());
+    for (const index of outAndBack) {
+      visited[index] = 1;
+      xs.push(index % width);
+      ys.push((index - (index % width)) / width);
+    }
+    xs.push(junctionX);
+    ys.push(junctionY);
+  }
+}
+
+function isAdjacent(a, b, width) {
+  const ax = a % width;
+  const bx = b % width;
+  return Math.abs(ax - bx) <= 1 && Math.abs(((a - ax) / width) - ((b - bx) / width)) <= 1;
+}
+
+function findResumePixel(pixels, visited, width, x, y, furthestX) {
+  const minX = furthestX - TRACE_FOLLOWING_CONFIG.maxBacktrackPx;
+  let best = -1;
+  let bestDistance = Infinity;
+  for (const index of pixels) {
+    if (visited[index]) continue;
+    const px = index % width;
+    if (px < minX) continue;
+    const py = (index - px) / width;
+    const distance = ((px - x) ** 2) + ((py - y) ** 2);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = index;
+    }
+  }
+  return best;
+}
+
+// Each path point belongs to the furthest column reached so far, so a stroke that doubles back
+// adds rows to the column where it turned instead of overwriting columns already passed.
+function reducePathToColumns({ xs, ys }, width, edgePolicy) {
+  const rows = new Float32Array(width).fill(NaN);
+  const entryRows = new Float32Array(width).fill(NaN);
+  let furthestX = -1;
+
+  for (let i = 0; i < xs.length; i++) {
+    furthestX = Math.max(furthestX, xs[i]);
+    const column = furthestX;
+    const y = ys[i];
+    if (Number.isNaN(entryRows[column])) {
+      entryRows[column] = y;
+      rows[column] = y;
+      continue;
+    }
+
+    const entry = entryRows[column];
+    if (edgePolicy === 'step') {
+      rows[column] = y;
+    } else if (edgePolicy === 'midpoint') {
+      rows[column] = (entry + y) / 2;
+    } else if (Math.abs(y - entry) > Math.abs(rows[column] - entry)) {
+      rows[column] = y;
+    }
+  }
+
+  return rows;
+}
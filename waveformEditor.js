@@ -0,0 +1,295 @@
+// Waveform editor:
+// - lets the waveform panel be drawn on with a mouse, pen or finger, overwriting the samples under the stroke
+// - pen (freehand, with a brush width), straight line and smooth curve tools
+// - can snap levels, and the ends of lines and curve points, to a grid of divisions drawn over the panel
+// - reports the edited waveform while the stroke is still going, so the sound and spectrum follow it
+
+const EDITOR_CONFIG = {
+  gridColumns: 16, // Time divisions across the panel for snapping.
+  gridRows: 8, // Level divisions from -1 to +1, so one division is 0.25.
+  curvePointSpacingPx: 12, // Smooth curve control points are kept at least this far apart.
+};
+
+export function createWaveformEditor({
+  canvas,
+  toolSelect,
+  brushWidthInput,
+  snapInput,
+  clearButton,
+  getWaveform,
+  onEdit,
+  onClear,
+  onActiveChange,
+}) {
+  // The stroke in progress: the waveform as it was when the stroke started, the copy being edited
+  // and the points the tool needs (pen: the previous point, line: the anchor, curve: the control points
+  // placed so far and the last of them). editedStart and editedEnd span every sample the stroke has touched.
+  let stroke = null;
+  let editPending = false;
+
+  function init() {
+    toolSelect?.addEventListener('change', () => {
+      cancelStroke();
+      updateControls();
+      if (typeof onActiveChange === 'function') onActiveChange(isActive());
+    });
+    snapInput?.addEventListener('change', () => {
+      if (typeof onActiveChange === 'function') onActiveChange(isActive());
+    });
+    clearButton?.addEventListener('click', () => {
+      cancelStroke();
+      if (typeof onClear === 'function') onClear();
+    });
+
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointermove', handlePointerMove);
+    canvas.addEventListener('pointerup', handlePointerUp);
+    canvas.addEventListener('pointercancel', handlePointerUp);
+    updateControls();
+  }
+
+  function getTool() {
+    return toolSelect?.value || 'off';
+  }
+
+  function isActive() {
+    return getTool() !== 'off';
+  }
+
+  function isSnapping() {
+    return !!snapInput?.checked;
+  }
+
+  function updateControls() {
+    if (brushWidthInput) brushWidthInput.disabled = getTool() !== 'pen';
+    if (isActive()) {
+      canvas.dataset.editing = 'true';
+    } else {
+      delete canvas.dataset.editing;
+    }
+  }
+
+  function handlePointerDown(event) {
+    if (!isActive() || stroke || event.button > 0) return;
+    const source = getWaveform();
+    if (!source || source.length < 2) return;
+
+    const waveform = Float32Array.from(source);
+    const point = getPointerPoint(event, waveform.length);
+    stroke = {
+      pointerId: event.pointerId,
+      tool: getTool(),
+      original: waveform.slice(),
+      waveform,
+      anchor: point,
+      previous: point,
+      curvePoints: [point],
+      lastCurvePoint: point,
+      editedStart: Infinity,
+      editedEnd: -Infinity,
+    };
+    canvas.setPointerCapture?.(event.pointerId);
+    event.preventDefault();
+    applyStroke(point);
+  }
+
+  function handlePointerMove(event) {
+    if (!stroke || event.pointerId !== stroke.pointerId) return;
+    applyStroke(getPointerPoint(event, stroke.waveform.length));
+  }
+
+  // The last edit is sent straight away, marked final, so the app can do its slower follow-up work once.
+  function handlePointerUp(event) {
+    if (!stroke || event.pointerId !== stroke.pointerId) return;
+    const finishedStroke = stroke;
+    stroke = null;
+    canvas.releasePointerCapture?.(event.pointerId);
+    editPending = false;
+    reportEdit(finishedStroke, true);
+  }
+
+  function cancelStroke() {
+    stroke = null;
+    editPending = false;
+  }
+
+  function applyStroke(point) {
+    const { waveform, original, tool } = stroke;
+    if (tool === 'pen') {
+      paintSegment(waveform, stroke.previous, point, getBrushHalfWidth(waveform.length));
+      stroke.previous = point;
+    } else if (tool === 'line') {
+      waveform.set(original);
+      paintSegment(waveform, stroke.anchor, point, 0);
+    } else {
+      waveform.set(original);
+      paintCurve(waveform, addCurvePoint(point, waveform.length));
+    }
+    scheduleEdit();
+  }
+
+  // Pointer moves can come faster than the panel redraws, so edits are passed on at most once per frame.
+  function scheduleEdit() {
+    if (editPending) return;
+    editPending = true;
+    requestAnimationFrame(() => {
+      if (!editPending || !stroke) return;
+      editPending = false;
+      reportEdit(stroke, false);
+    });
+  }
+
+  // onEdit(waveform, { final, start, end }): start and end (inclusive) bound the samples changed so far.
+  function reportEdit({ waveform, editedStart, editedEnd }, final) {
+    if (typeof onEdit !== 'function') return;
+    onEdit(waveform, { final, start: Math.max(0, editedStart), end: Math.min(waveform.length - 1, editedEnd) });
+  }
+
+  function noteEdited(first, last) {
+    stroke.editedStart = Math.min(stroke.editedStart, first);
+    stroke.editedEnd = Math.max(stroke.editedEnd, last);
+  }
+
+  // Pointer position as a fractional sample index and a level from -1 (bottom) to +1 (top),
+  // using the same mapping the panel draws with.
+  function getPointerPoint(event, sampleCount) {
+    const rect = canvas.getBoundingClientRect();
+    const plotWidth = Math.max(10, canvas.width);
+    const plotHeight = Math.max(20, canvas.height);
+    const canvasX = (event.clientX - rect.left) * (canvas.width / Math.max(1, rect.width));
+    const canvasY = (event.clientY - rect.top) * (canvas.height / Math.max(1, rect.height));
+
+    let index = clamp((canvasX / (plotWidth - 1)) * (sampleCount - 1), 0, sampleCount - 1);
+    let value = clamp(1 - (2 * canvasY) / plotHeight, -1, 1);
+    if (isSnapping()) {
+      const rowStep = 2 / EDITOR_CONFIG.gridRows;
+      value = Math.round(value / rowStep) * rowStep;
+      // The pen keeps its own timing, otherwise a freehand stroke would turn into steps.
+      if (getTool() !== 'pen') {
+        const columnStep = (sampleCount - 1) / EDITOR_CONFIG.gridColumns;
+        index = Math.round(index / columnStep) * columnStep;
+      }
+    }
+    return { index, value };
+  }
+
+  // Brush width is set in panel pixels; half of it, in samples, is painted on either side of the stroke.
+  function getBrushHalfWidth(sampleCount) {
+    const brushPx = Math.max(1, Number(brushWidthInput?.value) || 1);
+    const plotWidth = Math.max(10, canvas.width);
+    return (brushPx / 2) * ((sampleCount - 1) / (plotWidth - 1));
+  }
+
+  // Overwrite the samples from a to b with a straight line, widened by halfWidth samples at either end.
+  function paintSegment(waveform, a, b, halfWidth) {
+    const [left, right] = a.index <= b.index ? [a, b] : [b, a];
+    const first = Math.max(0, Math.ceil(left.index - halfWidth));
+    const last = Math.min(waveform.length - 1, Math.floor(right.index + halfWidth));
+    const span = right.index - left.index;
+    for (let i = first; i <= last; i++) {
+      const t = span > 0 ? clamp((i - left.index) / span, 0, 1) : 1;
+      waveform[i] = left.value + ((right.value - left.value) * t);
+    }
+    // A dot narrower than one sample still sets the nearest sample.
+    if (first > last) {
+      const nearest = Math.round(b.index);
+      waveform[nearest] = b.value;
+      noteEdited(nearest, nearest);
+    } else {
+      noteEdited(first, last);
+    }
+  }
+
+  // A new control point is placed once the pointer is far enough from the last one; until then the
+  // pointer is a loose end of the curve. Points the stroke passes back over are dropped, so drawing
+  // back reshapes the curve instead of folding it. Returns the points to draw, left to right.
+  function addCurvePoint(point, sampleCount) {
+    const plotWidth = Math.max(10, canvas.width);
+    const minSpacing = EDITOR_CONFIG.curvePointSpacingPx * ((sampleCount - 1) / (plotWidth - 1));
+    const last = stroke.lastCurvePoint;
+    const low = Math.min(last.index, point.index);
+    const high = Math.max(last.index, point.index);
+    stroke.curvePoints = stroke.curvePoints.filter((existing) => (
+      existing === last || existing.index <= low || existing.index >= high
+    ));
+
+    if (high - low >= minSpacing) {
+      stroke.curvePoints.push(point);
+      stroke.curvePoints.sort((p, q) => p.index - q.index);
+      stroke.lastCurvePoint = point;
+      return stroke.curvePoints;
+    }
+    return [...stroke.curvePoints.filter((existing) => existing.index !== point.index), point]
+      .sort((p, q) => p.index - q.index);
+  }
+
+  // Catmull-Rom style cubic through the control points, with each point's slope taken from its
+  // neighbours, so the curve passes through every point without corners. Levels are kept within ±1.
+  function paintCurve(waveform, points) {
+    if (points.length === 1) {
+      paintSegment(waveform, points[0], points[0], 0);
+      return;
+    }
+
+    const slopes = points.map((point, i) => {
+      const before = points[Math.max(0, i - 1)];
+      const after = points[Math.min(points.length - 1, i + 1)];
+      const run = after.index - before.index;
+      return run > 0 ? (after.value - before.value) / run : 0;
+    });
+
+    for (let k = 0; k < points.length - 1; k++) {
+      const p0 = points[k];
+      const p1 = points[k + 1];
+      const span = p1.index - p0.index;
+      if (span <= 0) continue;
+      const first = Math.max(0, Math.ceil(p0.index));
+      const last = Math.min(waveform.length - 1, Math.floor(p1.index));
+      for (let i = first; i <= last; i++) {
+        const t = (i - p0.index) / span;
+        const t2 = t * t;
+        const t3 = t2 * t;
+        const value = ((2 * t3 - 3 * t2 + 1) * p0.value)
+          + ((t3 - 2 * t2 + t) * span * slopes[k])
+          + ((-2 * t3 + 3 * t2) * p1.value)
+          + ((t3 - t2) * span * slopes[k + 1]);
+        waveform[i] = clamp(value, -1, 1);
+      }
+      noteEdited(first, last);
+    }
+  }
+
+  // Grid lines at the snapping divisions, drawn over the waveform while snapping is on.
+  function drawGuides(ctx) {
+    if (!isActive() || !isSnapping()) return;
+    const plotWidth = Math.max(10, canvas.width);
+    const plotHeight = Math.max(20, canvas.height);
+
+    ctx.save();
+    ctx.strokeStyle = 'rgba(148, 163, 184, 0.25)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let column = 1; column < EDITOR_CONFIG.gridColumns; column++) {
+      const x = Math.round((column / EDITOR_CONFIG.gridColumns) * (plotWidth - 1)) + 0.5;
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, plotHeight);
+    }
+    for (let row = 1; row < EDITOR_CONFIG.gridRows; row++) {
+      const y = Math.round((row / EDITOR_CONFIG.gridRows) * plotHeight) + 0.5;
+      ctx.moveTo(0, y);
+      ctx.lineTo(plotWidth, y);
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+  }
+
+  return {
+    init,
+    isActive,
+    drawGuides,
+  };
+}
@@ -1,7 +1,14 @@
 // Waveform extractor:
 // - assumes image processing has already isolated a mostly clean trace
-// - reads one waveform position per column
-// - smooths and centers the result for playback
+// - reads one waveform position per column, either as a weighted column centroid or by following the trace skeleton
+// - smooths and centers the result for playback, repairing columns where no trace was found
+// - can resample the result to a fixed wavetable length (see waveformResampler.js)
+// - measures how much of the trace was really found, for the capture quality report
+
+import { followTraceSkeleton } from './traceFollowing.js';
+import { repairWaveformGaps } from './gapRepair.js';
+import { measureLoopJump } from './captureQuality.js';
+import { resampleWaveform, getResampledIndex } from './waveformResampler.js';
 
 const TRACE_EXTRACTION_CONFIG = {
   minForegroundCount: 2, // Require at least a small vertical stroke before accepting a column.
@@ -9,8 +16,28 @@ const TRACE_EXTRACTION_CONFIG = {
 };
 
 // Turn the processed image into a normalized Float32Array waveform.
-// Columns with no detected trace become zero.
-export function extractWaveformFromImageData(imageData) {
+// Columns with no detected trace are filled by gapFill (see gapRepair.js).
+// verticalReferencePx sets how many pixel rows span -1..1. It defaults to the image height;
+// a larger value keeps a short, free-aspect crop from being stretched to full scale.
+// method is 'column' (median row per column) or 'trace' (follow the skeleton, see traceFollowing.js);
+// edgePolicy only applies to 'trace'. config overrides TRACE_EXTRACTION_CONFIG values.
+// outputLength resamples the result to that many samples; without it there is one sample per column.
+export function extractWaveformFromImageData(imageData, options = {}) {
+  return extractWaveformWithGaps(imageData, options)?.waveform ?? null;
+}
+
+// Same as extractWaveformFromImageData, also returning which samples were repaired and how
+// good the trace was (see measureExtractionQuality).
+// repairedCount and quality describe the mask columns, before any resampling.
+// Returns { waveform, repaired, repairedCount, quality } or null.
+export function extractWaveformWithGaps(imageData, {
+  verticalReferencePx,
+  method = 'column',
+  edgePolicy,
+  gapFill = 'linear',
+  outputLength,
+  config,
+} = {}) {
   if (!imageData || !Number.isFinite(imageData.width) || !Number.isFinite(imageData.height)) {
     return null;
   }
@@ -18,23 +45,94 @@ export function extractWaveformFromImageData(imageData) {
   const { width, height } = imageData;
   if (width <= 0 || height <= 0) return null;
 
-  const tracePath = findColumnMedianTracePath(imageData);
+  const tracePath = findTracePath(imageData, { method, edgePolicy, config });
 
-  // Vertical scale is relative to the full ROI height.
-  const normYMin = 0;
-  const normYMax = height - 1;
-  const normYSpan = Math.max(1, normYMax - normYMin);
+  // Vertical scale is relative to the full ROI height, or the reference span when it is taller.
+  const referenceRows = Number.isFinite(verticalReferencePx) ? Math.max(height, verticalReferencePx) : height;
+  const normYCenter = (height - 1) / 2;
+  const normYHalfSpan = Math.max(1, referenceRows - 1) / 2;
 
   const waveform = new Float32Array(width);
   for (let x = 0; x < width; x++) {
     const yPos = tracePath[x];
-    waveform[x] = yPos >= 0 ? 1 - ((yPos - normYMin) / normYSpan) * 2 : NaN;
+    waveform[x] = Number.isFinite(yPos) ? (normYCenter - yPos) / normYHalfSpan : NaN;
   }
 
-  // Center around zero; replace missing columns with 0.
-  zeroAndCenterWaveform(waveform);
+  // Center around zero, then fill the missing columns.
+  centerWaveform(waveform);
+  const repaired = repairWaveformGaps(waveform, gapFill);
+  let repairedCount = 0;
+  for (let i = 0; i < repaired.length; i++) repairedCount += repaired[i];
+
+  const quality = measureExtractionQuality(waveform, repaired, repairedCount);
+  if (!Number.isFinite(outputLength) || outputLength === width) {
+    return { waveform, repaired, repairedCount, quality };
+  }
+
+  // The full width is not known to be one loop, so the ends are held rather than wrapped.
+  const resampled = resampleWaveform(waveform, outputLength, { edges: 'hold' });
+  const resampledRepaired = new Uint8Array(resampled.length);
+  for (let i = 0; i < resampled.length; i++) {
+    resampledRepaired[i] = repaired[getResampledIndex(i, width, resampled.length, { edges: 'hold' })];
+  }
+  return { waveform: resampled, repaired: resampledRepaired, repairedCount, quality };
+}
+
+// Read the per-column trace rows used for extraction, for drawing over the preview.
+// Columns with no detected trace are NaN. Takes the same method options as extraction.
+export function extractTracePathFromImageData(imageData, { method = 'column', edgePolicy, config } = {}) {
+  if (!imageData || !(imageData.width > 0) || !(imageData.height > 0)) return null;
 
-  return waveform;
+  return findTracePath(imageData, { method, edgePolicy, config });
+}
+
+// Default extraction tuning values, for settings panels that edit them.
+export function getTraceExtractionDefaults() {
+  return { ...TRACE_EXTRACTION_CONFIG };
+}
+
+// Coverage is the share of columns where the trace was found; gaps are runs of repaired columns.
+// peakToPeak only counts found samples, so a mostly repaired trace cannot look lively.
+function measureExtractionQuality(waveform, repaired, repairedCount) {
+  let gapCount = 0;
+  let longestGap = 0;
+  let gapLength = 0;
+  let minLevel = Infinity;
+  let maxLevel = -Infinity;
+  for (let i = 0; i < waveform.length; i++) {
+    if (repaired[i]) {
+      if (gapLength === 0) gapCount++;
+      gapLength++;
+      if (gapLength > longestGap) longestGap = gapLength;
+      continue;
+    }
+    gapLength = 0;
+    if (waveform[i] < minLevel) minLevel = waveform[i];
+    if (waveform[i] > maxLevel) maxLevel = waveform[i];
+  }
+
+  return {
+    sampleCount: waveform.length,
+    coverage: 1 - (repairedCount / Math.max(1, waveform.length)),
+    gapCount,
+    longestGap,
+    peakToPeak: maxLevel >= minLevel ? maxLevel - minLevel : 0,
+    loopJump: measureLoopJump(waveform),
+  };
+}
+
+// Rows per column for the chosen method, NaN where there is no trace.
+// Columns the skeleton walk never reached but which still hold trace pixels (usually the stroke
+// ends, which thinning shortens) fall back to the column centroid.
+function findTracePath(imageData, { method, edgePolicy, config }) {
+  const rows = findColumnCentroidTracePath(imageData, config);
+  if (method !== 'trace') return rows;
+
+  const followed = followTraceSkeleton(imageData, { edgePolicy });
+  for (let x = 0; x < rows.length; x++) {
+    if (Number.isFinite(followed[x])) rows[x] = followed[x];
+  }
+  return rows;
 }
 
 // Find the kth smallest value without fully sorting the array.
@@ -97,67 +195,60 @@ function medianFilterFinite1D(values, radius, workBuffer) {
 }
 
 
-// Read the waveform position directly from each column of the cleaned mask.
-function findColumnMedianTracePath(imageData) {
+// Read the waveform position from each column of the cleaned mask, to a fraction of a row.
+// The foreground run holding the column median is taken as the stroke (so a line doubling back
+// is not averaged with its other pass), and its rows are averaged weighted by mask level, which
+// the image processor raises where the line response is stronger.
+function findColumnCentroidTracePath(imageData, config = {}) {
   const { width, height, data } = imageData;
   const pathY = new Float32Array(width);
-  for (let i = 0; i < width; i++) {
-    pathY[i] = NaN;
-  }
 
   const settings = {
     ...TRACE_EXTRACTION_CONFIG,
+    ...config,
   };
   const workBuffer = new Float32Array(2 * settings.medianRadius + 2);
 
-  // For each column, scan the full height
-  const getColumnMedianY = (x) => {
+  const getColumnCentroidY = (x) => {
     let foregroundCount = 0;
     for (let y = 0; y < height; y++) {
-      const idx = (y * width + x) * 4;
-      if (!isForegroundMaskPixel(data[idx])) continue;
-      foregroundCount++;
-    }
-    if (foregroundCount < settings.minForegroundCount) {
-      return NaN;
+      if (isForegroundMaskPixel(data[(y * width + x) * 4])) foregroundCount++;
     }
+    if (foregroundCount < settings.minForegroundCount) return NaN;
+
+    // Row of the median foreground pixel.
     const medianOffset = Math.floor((foregroundCount - 1) / 2);
-    let seen = 0;
-    for (let y = 0; y < height; y++) {
-      const idx = (y * width + x) * 4;
-      if (!isForegroundMaskPixel(data[idx])) continue;
+    let medianY = -1;
+    for (let y = 0, seen = 0; y < height; y++) {
+      if (!isForegroundMaskPixel(data[(y * width + x) * 4])) continue;
       if (seen === medianOffset) {
-        if (foregroundCount % 2 === 1) {
-          return y;
-        }
-        let nextY = y;
-        for (let yy = y + 1; yy < height; yy++) {
-          const nextIdx = (yy * width + x) * 4;
-          if (isForegroundMaskPixel(data[nextIdx])) {
-            nextY = yy;
-            break;
-          }
-        }
-        return (y + nextY) / 2;
+        medianY = y;
+        break;
       }
       seen++;
     }
-    return NaN;
+
+    // Widen to the whole run around it.
+    let top = medianY;
+    let bottom = medianY;
+    while (top > 0 && isForegroundMaskPixel(data[((top - 1) * width + x) * 4])) top--;
+    while (bottom < height - 1 && isForegroundMaskPixel(data[((bottom + 1) * width + x) * 4])) bottom++;
+
+    let weightedSum = 0;
+    let weightSum = 0;
+    for (let y = top; y <= bottom; y++) {
+      const weight = data[(y * width + x) * 4] - 127;
+      weightedSum += y * weight;
+      weightSum += weight;
+    }
+    return weightedSum / weightSum;
   };
+
   for (let x = 0; x < width; x++) {
-    const yEstimate = getColumnMedianY(x);
-    if (!Number.isFinite(yEstimate)) {
-      continue;
-    }
-    pathY[x] = yEstimate; // keep as float so the median filter can smooth sub-pixel positions
+    pathY[x] = getColumnCentroidY(x);
   }
-  // Smooth the path and round it to pixel positions.
-  const smoothed = medianFilterFinite1D(pathY, settings.medianRadius, workBuffer);
-  const quantized = new Int16Array(width);
-  for (let i = 0; i < width; i++) {
-    quantized[i] = Number.isFinite(smoothed[i]) ? Math.round(smoothed[i]) : -1;
-  }
-  return quantized;
+  // Smooth the path, keeping the fractional rows.
+  return medianFilterFinite1D(pathY, settings.medianRadius, workBuffer);
 }
 
 
@@ -189,14 +280,10 @@ function getMedianOfFiniteArray(values) {
   return (lower + upper) / 2;
 }
 
-// Center the waveform around zero and replace missing points with 0.
-function zeroAndCenterWaveform(waveform) {
+// Center the waveform around zero, leaving missing points as NaN for gap repair.
+function centerWaveform(waveform) {
   const median = getMedianOfFiniteArray(waveform);
   for (let i = 0; i < waveform.length; i++) {
-    if (Number.isNaN(waveform[i])) {
-      waveform[i] = 0;
-    } else {
-      waveform[i] -= median;
-    }
+    waveform[i] -= median;
   }
 }
\ No newline at end of file
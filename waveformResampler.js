@@ -0,0 +1,65 @@
+// Waveform resampler:
+// - changes a waveform's length with a Blackman-windowed sinc kernel, so resampling adds no new harmonics
+// - lowers the cutoff when shortening, so detail the new length cannot hold is filtered out instead of aliasing
+// - either treats the waveform as one loop (the ends blend into each other) or holds the end samples
+
+const RESAMPLER_CONFIG = {
+  kernelZeroCrossings: 16, // Sinc lobes on each side of a sample; more gives a sharper cutoff.
+};
+
+// Wavetable lengths offered in the app. Powers of two load directly into most wavetable synths.
+export const WAVETABLE_LENGTHS = [256, 512, 1024, 2048, 4096];
+export const DEFAULT_WAVETABLE_LENGTH = 2048;
+
+// Resample waveform to targetLength samples.
+// edges: 'wrap' for a loop (sample N lands on sample 0 again), 'hold' to map the first and last samples
+// onto the first and last outputs and repeat them beyond the ends.
+export function resampleWaveform(waveform, targetLength, { edges = 'wrap' } = {}) {
+  const sourceLength = waveform.length;
+  const output = new Float32Array(Math.max(1, Math.round(targetLength)));
+  if (sourceLength === 0) return output;
+  if (sourceLength === output.length) {
+    output.set(waveform);
+    return output;
+  }
+
+  const wrap = edges === 'wrap';
+  const step = wrap ? sourceLength / output.length : (sourceLength - 1) / Math.max(1, output.length - 1);
+  // Cutoff relative to the source Nyquist frequency; the kernel widens as the cutoff drops.
+  const cutoff = Math.min(1, 1 / step);
+  const halfWidth = RESAMPLER_CONFIG.kernelZeroCrossings / cutoff;
+
+  for (let i = 0; i < output.length; i++) {
+    const position = i * step;
+    const first = Math.ceil(position - halfWidth);
+    const last = Math.floor(position + halfWidth);
+    let sum = 0;
+    let weightSum = 0;
+    for (let k = first; k <= last; k++) {
+      const weight = getKernelWeight(position - k, cutoff, halfWidth);
+      const index = wrap
+        ? ((k % sourceLength) + sourceLength) % sourceLength
+        : Math.min(sourceLength - 1, Math.max(0, k));
+      sum += waveform[index] * weight;
+      weightSum += weight;
+    }
+    // Normalising by the kernel sum keeps flat stretches exactly flat.
+    output[i] = weightSum !== 0 ? sum / weightSum : 0;
+  }
+  return output;
+}
+
+// Index into the source for each output sample (nearest), for carrying per-sample flags along.
+export function getResampledIndex(index, sourceLength, targetLength, { edges = 'wrap' } = {}) {
+  const step = edges === 'wrap' ? sourceLength / targetLength : (sourceLength - 1) / Math.max(1, targetLength - 1);
+  return Math.min(sourceLength - 1, Math.round(index * step));
+}
+
+function getKernelWeight(distance, cutoff, halfWidth) {
+  if (Math.abs(distance) >= halfWidth) return 0;
+  const x = distance * cutoff;
+  const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+  const t = distance / halfWidth;
+  const blackman = 0.42 + (0.5 * Math.cos(Math.PI * t)) + (0.08 * Math.cos(2 * Math.PI * t));
+  return sinc * blackman;
+}
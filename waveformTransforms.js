@@ -0,0 +1,220 @@
+// Waveform transforms:
+// - reshapes one loop of a waveform: normalise, invert, reverse, phase rotation, odd/even symmetry,
+//   rectification, bit-depth quantisation, smoothing, and clipping or folding with drive
+// - treats the waveform as a loop, so rotation, symmetry and smoothing wrap around its ends
+// - drives the toolbox that previews a transform on the panel and the synth before it is applied
+
+// Transforms with an amount list the slider range and a label; the rest have none.
+export const WAVEFORM_TRANSFORMS = {
+  'normalize-peak': { label: 'Peak', min: 0.1, max: 1, step: 0.05, defaultAmount: 0.9 },
+  'normalize-rms': { label: 'RMS', min: 0.05, max: 0.7, step: 0.05, defaultAmount: 0.35 },
+  invert: null,
+  reverse: null,
+  rotate: { label: 'Phase (°)', min: 0, max: 360, step: 5, defaultAmount: 90 },
+  'symmetrize-odd': null,
+  'symmetrize-even': null,
+  'rectify-full': null,
+  'rectify-half': null,
+  quantize: { label: 'Bits', min: 1, max: 12, step: 1, defaultAmount: 4 },
+  smooth: { label: 'Width (%)', min: 0.5, max: 10, step: 0.5, defaultAmount: 2 },
+  clip: { label: 'Drive', min: 1, max: 8, step: 0.25, defaultAmount: 2 },
+  fold: { label: 'Drive', min: 1, max: 8, step: 0.25, defaultAmount: 2 },
+};
+
+// Return a transformed copy of waveform; missing samples count as 0.
+export function applyWaveformTransform(waveform, transformId, amount) {
+  const source = Float32Array.from(waveform, (value) => (Number.isFinite(value) ? value : 0));
+  const length = source.length;
+  if (length === 0) return source;
+  const out = new Float32Array(length);
+
+  switch (transformId) {
+    case 'normalize-peak':
+    case 'normalize-rms': {
+      const level = transformId === 'normalize-peak' ? measurePeak(source) : measureRms(source);
+      const gain = level > 0 ? amount / level : 1;
+      for (let i = 0; i < length; i++) out[i] = source[i] * gain;
+      break;
+    }
+    case 'invert':
+      for (let i = 0; i < length; i++) out[i] = -source[i];
+      break;
+    case 'reverse':
+      for (let i = 0; i < length; i++) out[i] = source[length - 1 - i];
+      break;
+    case 'rotate': {
+      // A positive phase moves the shape to the left, as if the loop started later.
+      const shift = Math.round((amount / 360) * length);
+      for (let i = 0; i < length; i++) out[i] = source[(((i + shift) % length) + length) % length];
+      break;
+    }
+    case 'symmetrize-odd':
+    case 'symmetrize-even': {
+      // Mirror around the loop start: odd keeps only the sine part (x(t) = -x(-t)), even only the cosine part.
+      const sign = transformId === 'symmetrize-odd' ? -1 : 1;
+      for (let i = 0; i < length; i++) out[i] = (source[i] + (sign * source[(length - i) % length])) / 2;
+      break;
+    }
+    case 'rectify-full':
+      for (let i = 0; i < length; i++) out[i] = Math.abs(source[i]);
+      break;
+    case 'rectify-half':
+      for (let i = 0; i < length; i++) out[i] = Math.max(0, source[i]);
+      break;
+    case 'quantize': {
+      // 2^(bits - 1) steps on either side of zero, so silence stays silent.
+      const steps = 2 ** (Math.max(1, Math.round(amount)) - 1);
+      for (let i = 0; i < length; i++) out[i] = Math.max(-1, Math.min(1, Math.round(source[i] * steps) / steps));
+      break;
+    }
+    case 'smooth': {
+      // Two passes of a moving average make a triangular window, which has no ringing.
+      const radius = Math.max(1, Math.round(((amount / 100) * length) / 4));
+      out.set(smoothCircular(smoothCircular(source, radius), radius));
+      break;
+    }
+    case 'clip':
+      for (let i = 0; i < length; i++) out[i] = Math.max(-1, Math.min(1, source[i] * amount));
+      break;
+    case 'fold':
+      for (let i = 0; i < length; i++) out[i] = foldIntoRange(source[i] * amount);
+      break;
+    default:
+      out.set(source);
+  }
+  return out;
+}
+
+function measurePeak(waveform) {
+  let peak = 0;
+  for (let i = 0; i < waveform.length; i++) peak = Math.max(peak, Math.abs(waveform[i]));
+  return peak;
+}
+
+function measureRms(waveform) {
+  let sumSquares = 0;
+  for (let i = 0; i < waveform.length; i++) sumSquares += waveform[i] * waveform[i];
+  return Math.sqrt(sumSquares / waveform.length);
+}
+
+// Moving average over 2 × radius + 1 samples, wrapping around the loop.
+function smoothCircular(waveform, radius) {
+  const length = waveform.length;
+  const out = new Float32Array(length);
+  const windowSize = (2 * radius) + 1;
+  let sum = 0;
+  for (let k = -radius; k <= radius; k++) sum += waveform[(((k % length) + length) % length)];
+  for (let i = 0; i < length; i++) {
+    out[i] = sum / windowSize;
+    sum += waveform[(i + radius + 1) % length] - waveform[(((i - radius) % length) + length) % length];
+  }
+  return out;
+}
+
+// Reflect a level back off ±1 as often as needed, like a wavefolder.
+function foldIntoRange(value) {
+  const wrapped = ((((value + 1) % 4) + 4) % 4) - 1;
+  return wrapped > 1 ? 2 - wrapped : wrapped;
+}
+
+// Toolbox UI: picking a transform previews it at once, the amount slider updates the preview live,
+// and Apply keeps it while Cancel goes back. Switching transforms before applying starts again from
+// the same waveform, so unapplied previews never stack.
+export function createTransformToolbox({
+  transformSelect,
+  amountInput,
+  amountLabel,
+  amountValue,
+  applyButton,
+  cancelButton,
+  getWaveform,
+  onPreview,
+  onApply,
+  onCancel,
+}) {
+  let baseWaveform = null;
+  let preview = null;
+
+  function init() {
+    transformSelect?.addEventListener('change', () => {
+      if (!transformSelect.value) {
+        cancel();
+        return;
+      }
+      startPreview(transformSelect.value);
+    });
+    amountInput?.addEventListener('input', updatePreview);
+    applyButton?.addEventListener('click', apply);
+    cancelButton?.addEventListener('click', cancel);
+    render();
+  }
+
+  function startPreview(transformId) {
+    if (!baseWaveform) {
+      const waveform = getWaveform();
+      if (!waveform || waveform.length === 0) {
+        reset();
+        return;
+      }
+      baseWaveform = Float32Array.from(waveform);
+    }
+
+    const settings = WAVEFORM_TRANSFORMS[transformId];
+    if (settings && amountInput) {
+      amountInput.min = settings.min;
+      amountInput.max = settings.max;
+      amountInput.step = settings.step;
+      amountInput.value = settings.defaultAmount;
+    }
+    updatePreview();
+  }
+
+  function updatePreview() {
+    if (!baseWaveform || !transformSelect?.value) return;
+    preview = applyWaveformTransform(baseWaveform, transformSelect.value, Number(amountInput?.value));
+    render();
+    if (typeof onPreview === 'function') onPreview(preview);
+  }
+
+  function apply() {
+    if (!preview) return;
+    const result = preview;
+    reset();
+    if (typeof onApply === 'function') onApply(result);
+  }
+
+  function cancel() {
+    const hadPreview = !!preview;
+    reset();
+    if (hadPreview && typeof onCancel === 'function') onCancel();
+  }
+
+  // Forget an unapplied preview without restoring anything, for when a new waveform replaces it anyway.
+  function reset() {
+    baseWaveform = null;
+    preview = null;
+    if (transformSelect) transformSelect.value = '';
+    render();
+  }
+
+  function render() {
+    const settings = preview ? WAVEFORM_TRANSFORMS[transformSelect?.value] : null;
+    if (amountInput) amountInput.hidden = !settings;
+    if (amountLabel) {
+      amountLabel.hidden = !settings;
+      amountLabel.textContent = settings ? settings.label : '';
+    }
+    if (amountValue) {
+      amountValue.hidden = !settings;
+      amountValue.textContent = settings ? String(Number(amountInput?.value)) : '';
+    }
+    if (applyButton) applyButton.disabled = !preview;
+    if (cancelButton) cancelButton.disabled = !preview;
+  }
+
+  return {
+    init,
+    getPreview: () => preview,
+    discardPreview: reset,
+  };
+}